@@ -1,5 +1,32 @@
 /* jshint node: true */
 
+// Modules included in the headless builds of the tree, which run without
+// Leaflet or a DOM.
+var treeSources = [
+    'src/geo.js', 'src/api.js', 'src/util.js',
+    'src/tree/tree.js', 'src/tree/aggregate.js', 'src/tree/region.js'
+];
+
+// The headless builds also serve tiles, which needs Node.
+var nodeSources = treeSources.concat([ 'src/server/tiles.js' ]);
+
+// Collects the public API of the headless builds into `QuadCluster`.
+var treeExports = [
+    'var QuadCluster = {',
+    '    version: L.QuadCluster.version,',
+    '    Tree: L.QuadCluster.Tree,',
+    '    Aggregate: L.QuadCluster.Aggregate,',
+    '    Region: L.QuadCluster.Region,',
+    '    LatLng: L.LatLng,',
+    '    LatLngBounds: L.LatLngBounds,',
+    '    latLng: L.latLng,',
+    '    latLngBounds: L.latLngBounds,',
+    '    tileCut: L.QuadCluster.tileCut,',
+    '    tileHandler: L.QuadCluster.tileHandler',
+    '};',
+    ''
+].join('\n');
+
 module.exports = function(grunt) {
     require('load-grunt-tasks')(grunt);
 
@@ -9,18 +36,64 @@ module.exports = function(grunt) {
             options: {
                 jshintrc: ".jshintrc"
             },
-            all: [ 'src/**/*.js' ]
+            all: [ 'src/**/*.js', 'test/**/*.js' ]
         },
         concat: {
             source: {
                 files: [{
                     dest: 'dist/leaflet.quadcluster.js',
                     src: [
-                        'src/api.js',
+                        'src/api.js', 'src/util.js',
                         'src/tree/tree.js', 'src/tree/aggregate.js',
-                        'src/MarkerCluster.js', 'src/MarkerClusterGroup.js'
+                        'src/tree/region.js', 'src/worker/WorkerTree.js',
+                        'src/MarkerCluster.js', 'src/MarkerClusterGroup.js',
+                        'src/CanvasRenderer.js', 'src/DensityLayer.js',
+                        'src/GeoJSON.js', 'src/TiledClusterGroup.js'
                     ]
                 }]
+            },
+            worker: {
+                files: [{
+                    dest: 'dist/leaflet.quadcluster-worker.js',
+                    src: treeSources.concat([ 'src/worker/worker.js' ])
+                }]
+            },
+            // The headless builds keep `L` local, so they never touch a
+            // global Leaflet.
+            cjs: {
+                options: {
+                    banner: '(function() {\n\nvar L;\n\n',
+                    footer: '\n' + treeExports +
+                        '\nmodule.exports = QuadCluster;\n\n}());\n'
+                },
+                files: [{
+                    dest: 'dist/leaflet.quadcluster-tree.js',
+                    src: nodeSources
+                }]
+            },
+            esm: {
+                options: {
+                    banner: 'var L;\n\n',
+                    footer: '\n' + treeExports + [
+                        '',
+                        'export default QuadCluster;',
+                        'export var version = QuadCluster.version;',
+                        'export var Tree = QuadCluster.Tree;',
+                        'export var Aggregate = QuadCluster.Aggregate;',
+                        'export var Region = QuadCluster.Region;',
+                        'export var LatLng = QuadCluster.LatLng;',
+                        'export var LatLngBounds = QuadCluster.LatLngBounds;',
+                        'export var latLng = QuadCluster.latLng;',
+                        'export var latLngBounds = QuadCluster.latLngBounds;',
+                        'export var tileCut = QuadCluster.tileCut;',
+                        'export var tileHandler = QuadCluster.tileHandler;',
+                        ''
+                    ].join('\n')
+                },
+                files: [{
+                    dest: 'dist/leaflet.quadcluster-tree.mjs',
+                    src: nodeSources
+                }]
             }
         },
         uglify: {
@@ -36,16 +109,23 @@ module.exports = function(grunt) {
                 files: [{
                     src: [ 'dist/leaflet.quadcluster.js' ],
                     dest: 'dist/leaflet.quadcluster.min.js'
+                }, {
+                    src: [ 'dist/leaflet.quadcluster-worker.js' ],
+                    dest: 'dist/leaflet.quadcluster-worker.min.js'
                 }]
             }
         },
         clean: {
             javascript: {
-                src: [ 'dist/leaflet.quadcluster.js', 'dist/leaflet.quadcluster.min.(js|map)' ]
+                src: [ 'dist/leaflet.quadcluster.js', 'dist/leaflet.quadcluster.min.(js|map)',
+                       'dist/leaflet.quadcluster-worker.js',
+                       'dist/leaflet.quadcluster-worker.min.(js|map)',
+                       'dist/leaflet.quadcluster-tree.(js|mjs)' ]
             }
         }
     });
 
-    grunt.registerTask('build', [ 'jshint:all', 'concat:source', 'uglify:source' ]);
+    grunt.registerTask('build', [ 'jshint:all', 'concat:source', 'concat:worker',
+                                  'concat:cjs', 'concat:esm', 'uglify:source' ]);
     grunt.registerTask('default', ['build']);
 };
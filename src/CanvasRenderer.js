@@ -0,0 +1,305 @@
+/**
+ *  @overview Draws the clusters and points of a MarkerClusterGroup on a
+ *      single canvas.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+// Same font as the text of the map
+var FONT = '12px "Helvetica Neue", Arial, Helvetica, sans-serif';
+
+// Mouse events of markers, besides mouseover and mouseout
+var MOUSE_EVENTS = 'click dblclick contextmenu';
+
+// Size in pixels of the cells of the grid used for hit testing
+var GRID_SIZE = 64;
+
+function circle(ctx, point, radius) {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+}
+
+/*
+ *  Draws a cluster like the default cluster icons.
+ */
+function drawCluster(ctx, cluster, point) {
+    var count = cluster.getChildCount();
+    var style = cluster._group._getClusterStyle(count);
+    var radius = style.size / 2;
+
+    circle(ctx, point, radius);
+    ctx.fillStyle = 'rgba(' + style.rgb + ',0.4)';
+    ctx.fill();
+
+    circle(ctx, point, radius - 5);
+    ctx.fillStyle = 'rgba(' + style.rgb + ',0.7)';
+    ctx.fill();
+
+    ctx.fillStyle = '#000';
+    ctx.font = FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(count), point.x, point.y);
+
+    return radius;
+}
+
+/*
+ *  Draws a point as a circle styled by the `pointStyle` option.
+ */
+function drawPoint(ctx, point, style) {
+    circle(ctx, point, style.radius);
+    ctx.fillStyle = style.fillColor;
+    ctx.fill();
+
+    if( style.weight > 0 ) {
+        ctx.lineWidth = style.weight;
+        ctx.strokeStyle = style.color;
+        ctx.stroke();
+    }
+
+    return style.radius + style.weight / 2;
+}
+
+/**
+ *  Draws the visible layers of a MarkerClusterGroup with the `renderer:
+ *  'canvas'` option. The group still creates the clusters and markers it
+ *  shows and keeps them in its feature group, but they are never added to
+ *  the map.
+ *
+ *  Mouse events on the map are hit-tested against the layers drawn for the
+ *  current cut, topmost first, and fired on the layer that was hit. They
+ *  then reach the group the same way as in the DOM mode, so `click`,
+ *  `clusterclick` and the other mouse events have the same payloads. Unlike
+ *  with DOM markers, the map also sees these events.
+ *  @constructor
+ *
+ *  @param {L.QuadCluster.MarkerClusterGroup} group - The group to draw.
+ */
+L.QuadCluster.CanvasRenderer = L.Class.extend({
+    initialize: function(group) {
+        this._group = group;
+        this._map = null;
+        this._canvas = null;
+
+        // Layers drawn, with their position in container pixels and the
+        // radius within which they are hit, in drawing order.
+        this._items = [];
+        this._hovered = null;
+
+        // Indices of the items that may be hit in each cell of a grid over
+        // the map, in drawing order, keyed by 'column:row'
+        this._grid = {};
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        this._canvas = L.DomUtil.create('canvas',
+                                        'quadtree-canvas leaflet-zoom-hide',
+                                        map.getPanes().markerPane);
+
+        map.on(MOUSE_EVENTS, this._onMouseEvent, this);
+        map.on('mousemove', this._onMouseMove, this);
+        map.on('mouseout', this._onMouseOut, this);
+        map.on('resize', this.redraw, this);
+
+        // Panning moves the canvas along with the map, it is only drawn
+        // again once the group shows a new cut.
+        this._group.on('refresh spiderfied unspiderfied', this.redraw, this);
+
+        this.redraw();
+    },
+
+    onRemove: function(map) {
+        this._setHovered(null);
+
+        map.off(MOUSE_EVENTS, this._onMouseEvent, this);
+        map.off('mousemove', this._onMouseMove, this);
+        map.off('mouseout', this._onMouseOut, this);
+        map.off('resize', this.redraw, this);
+        this._group.off('refresh spiderfied unspiderfied', this.redraw, this);
+
+        map.getPanes().markerPane.removeChild(this._canvas);
+
+        this._canvas = null;
+        this._items = [];
+        this._grid = {};
+        this._map = null;
+    },
+
+    /*
+     *  Draws the layers in the group's feature group, south over north like
+     *  Leaflet stacks markers.
+     */
+    redraw: function() {
+        var map = this._map;
+        var canvas = this._canvas;
+        var options = this._group.options;
+        var layers = this._group._featureGroup.getLayers();
+        var ratio = L.QuadCluster.CanvasRenderer.resetCanvas(canvas, map);
+        var items = [];
+        var ctx, i, layer, item;
+
+        ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        for( i = 0; i < layers.length; i++ ) {
+            items.push({
+                layer: layers[i],
+                point: map.latLngToContainerPoint(layers[i].getLatLng()),
+                radius: 0
+            });
+        }
+
+        items.sort(function(a, b) {
+            return a.point.y - b.point.y;
+        });
+
+        for( i = 0; i < items.length; i++ ) {
+            item = items[i];
+            layer = item.layer;
+
+            ctx.save();
+            // Lowered for spiderfied clusters
+            ctx.globalAlpha = layer.options.opacity;
+
+            if( layer instanceof L.QuadCluster.MarkerCluster ) {
+                item.radius = options.drawCluster ?
+                    options.drawCluster(ctx, layer, item.point) :
+                    drawCluster(ctx, layer, item.point);
+            } else {
+                item.radius = options.drawPoint ?
+                    options.drawPoint(ctx, layer, item.point) :
+                    drawPoint(ctx, item.point, options.pointStyle);
+            }
+
+            ctx.restore();
+        }
+
+        this._items = items;
+        this._grid = this._buildGrid(items);
+
+        // The layer under the mouse may have changed.
+        if( this._hovered && ! this._group._featureGroup.hasLayer(this._hovered) ) {
+            this._setHovered(null);
+        }
+    },
+
+    /*
+     *  Returns the topmost clickable layer drawn at `containerPoint`, or null.
+     */
+    hitTest: function(containerPoint) {
+        var cell = Math.floor(containerPoint.x / GRID_SIZE) + ':' +
+                   Math.floor(containerPoint.y / GRID_SIZE);
+        var indices = this._grid[cell] || [];
+        var item;
+
+        for( var i = indices.length - 1; i >= 0; i-- ) {
+            item = this._items[indices[i]];
+
+            if( item.layer.options.clickable !== false &&
+                item.point.distanceTo(containerPoint) <= item.radius ) {
+                return item.layer;
+            }
+        }
+
+        return null;
+    },
+
+    /*
+     *  Indexes the items by the cells of the grid their hit circle overlaps.
+     */
+    _buildGrid: function(items) {
+        var grid = {};
+        var i, item, x, y, minX, maxX, minY, maxY, cell;
+
+        for( i = 0; i < items.length; i++ ) {
+            item = items[i];
+            minX = Math.floor((item.point.x - item.radius) / GRID_SIZE);
+            maxX = Math.floor((item.point.x + item.radius) / GRID_SIZE);
+            minY = Math.floor((item.point.y - item.radius) / GRID_SIZE);
+            maxY = Math.floor((item.point.y + item.radius) / GRID_SIZE);
+
+            for( x = minX; x <= maxX; x++ ) {
+                for( y = minY; y <= maxY; y++ ) {
+                    cell = x + ':' + y;
+                    grid[cell] = grid[cell] || [];
+                    grid[cell].push(i);
+                }
+            }
+        }
+
+        return grid;
+    },
+
+    _onMouseEvent: function(e) {
+        var layer = this.hitTest(e.containerPoint);
+
+        if( layer ) {
+            this._fire(layer, e.type, e.originalEvent);
+        }
+    },
+
+    _onMouseMove: function(e) {
+        this._setHovered(this.hitTest(e.containerPoint), e.originalEvent);
+    },
+
+    _onMouseOut: function(e) {
+        this._setHovered(null, e.originalEvent);
+    },
+
+    /*
+     *  Fires mouseout and mouseover as the mouse moves between layers, and
+     *  shows the pointer cursor over them.
+     */
+    _setHovered: function(layer, originalEvent) {
+        var previous = this._hovered;
+
+        if( layer === previous ) {
+            return;
+        }
+
+        this._hovered = layer;
+        this._map._container.style.cursor = layer ? 'pointer' : '';
+
+        if( previous ) {
+            this._fire(previous, 'mouseout', originalEvent);
+        }
+
+        if( layer ) {
+            this._fire(layer, 'mouseover', originalEvent);
+        }
+    },
+
+    // Same event data as L.Marker fires for mouse events
+    _fire: function(layer, type, originalEvent) {
+        layer.fire(type, {
+            originalEvent: originalEvent,
+            latlng: layer.getLatLng()
+        });
+    }
+});
+
+/*
+ *  Moves a canvas in a map pane to the top left corner of the map and sizes
+ *  it to cover the map at the pixel ratio of the screen, which also clears
+ *  it. Returns the pixel ratio.
+ */
+L.QuadCluster.CanvasRenderer.resetCanvas = function(canvas, map) {
+    var size = map.getSize();
+    var ratio = window.devicePixelRatio || 1;
+
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([ 0, 0 ]));
+
+    canvas.width = size.x * ratio;
+    canvas.height = size.y * ratio;
+    canvas.style.width = size.x + 'px';
+    canvas.style.height = size.y + 'px';
+
+    return ratio;
+};
+
+}());
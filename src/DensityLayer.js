@@ -0,0 +1,189 @@
+/**
+ *  @overview Draws the cut of a MarkerClusterGroup as a density surface.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+// Size in pixels of the cells the density is computed for. The surface is
+// smoothed when it is scaled up to the size of the map.
+var CELL_SIZE = 4;
+
+// Fraction of the highest density below which the surface fades out
+var FADE = 0.25;
+
+/**
+ *  Draws the cut of a MarkerClusterGroup with the `clustersOnZoom` option as
+ *  a kernel density estimate on a canvas. Each node of the cut adds a
+ *  quartic kernel around its center, weighted by its mass or by a registered
+ *  aggregate, so a coarse cut with few nodes is enough for a smooth surface.
+ *  @constructor
+ *
+ *  @param {L.QuadCluster.MarkerClusterGroup} group - The group to draw.
+ */
+L.QuadCluster.DensityLayer = L.Class.extend({
+    initialize: function(group) {
+        this._group = group;
+        this._map = null;
+        this._canvas = null;
+
+        // Nodes of the cut, and the world copy offset of each node
+        this._nodes = [];
+        this._offsets = [];
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        this._canvas = L.DomUtil.create('canvas',
+                                        'quadtree-density leaflet-zoom-hide',
+                                        map.getPanes().overlayPane);
+
+        map.on('resize', this.redraw, this);
+
+        this.redraw();
+    },
+
+    onRemove: function(map) {
+        map.off('resize', this.redraw, this);
+        map.getPanes().overlayPane.removeChild(this._canvas);
+
+        this._canvas = null;
+        this._map = null;
+    },
+
+    /*
+     *  Shows the given cut, or nothing if it is empty.
+     */
+    setCut: function(nodes, offsets) {
+        this._nodes = nodes;
+        this._offsets = offsets;
+
+        if( this._map ) {
+            this.redraw();
+        }
+    },
+
+    redraw: function() {
+        var map = this._map;
+        var canvas = this._canvas;
+        var ctx;
+
+        L.QuadCluster.CanvasRenderer.resetCanvas(canvas, map);
+
+        if( this._nodes.length === 0 ) {
+            return;
+        }
+
+        ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this._colorize(this._estimate(map.getSize())),
+                      0, 0, canvas.width, canvas.height);
+    },
+
+    /*
+     *  Returns the weight of a node of the cut.
+     */
+    _weight: function(node) {
+        var name = this._group.options.densityWeight;
+
+        return name === null ? node.mass : node.states[name];
+    },
+
+    /*
+     *  Sums the kernels of the nodes of the cut at the center of each cell of
+     *  a map of `size` pixels. Returns the grid of densities with its number
+     *  of `columns` and `rows`.
+     */
+    _estimate: function(size) {
+        var map = this._map;
+        var nodes = this._nodes;
+        var columns = Math.ceil(size.x / CELL_SIZE);
+        var rows = Math.ceil(size.y / CELL_SIZE);
+        var values = new Float32Array(columns * rows);
+        var radius = this._group.options.densityRadius / CELL_SIZE;
+        var i, x, y, weight, center, point, dx, dy, d2;
+
+        for( i = 0; i < nodes.length; i++ ) {
+            weight = this._weight(nodes[i]);
+            // Also skips nodes the aggregate has no value for.
+            if( ! weight || weight < 0 ) {
+                continue;
+            }
+
+            center = nodes[i].center;
+            point = map.latLngToContainerPoint(
+                [ center.lat, center.lng + this._offsets[i] ]);
+
+            // Position in cells, relative to the cell centers
+            point = L.point(point.x / CELL_SIZE - 0.5, point.y / CELL_SIZE - 0.5);
+
+            for( y = Math.max(Math.ceil(point.y - radius), 0);
+                 y <= Math.min(Math.floor(point.y + radius), rows - 1); y++ ) {
+                for( x = Math.max(Math.ceil(point.x - radius), 0);
+                     x <= Math.min(Math.floor(point.x + radius), columns - 1); x++ ) {
+                    dx = x - point.x;
+                    dy = y - point.y;
+                    d2 = (dx * dx + dy * dy) / (radius * radius);
+
+                    if( d2 < 1 ) {
+                        values[y * columns + x] += weight * (1 - d2) * (1 - d2);
+                    }
+                }
+            }
+        }
+
+        return { values: values, columns: columns, rows: rows };
+    },
+
+    /*
+     *  Returns a canvas with a pixel per cell of the grid, colored through
+     *  the density palette relative to the highest density.
+     */
+    _colorize: function(grid) {
+        var group = this._group;
+        var options = group.options;
+        var values = grid.values;
+        var image = document.createElement('canvas');
+        var colors = [];
+        var max = 0;
+        var ctx, data, i, t, rgb;
+
+        // Colors of 256 steps of the palette, rather than interpolating
+        // again for every cell
+        for( i = 0; i < 256; i++ ) {
+            colors.push(group._interpolateColor(options.densityPalette, i / 255));
+        }
+
+        image.width = grid.columns;
+        image.height = grid.rows;
+        ctx = image.getContext('2d');
+        data = ctx.createImageData(grid.columns, grid.rows);
+
+        for( i = 0; i < values.length; i++ ) {
+            max = Math.max(max, values[i]);
+        }
+
+        for( i = 0; i < values.length; i++ ) {
+            if( values[i] <= 0 ) {
+                continue;
+            }
+
+            t = values[i] / max;
+            rgb = colors[Math.round(t * 255)];
+
+            data.data[i * 4] = rgb[0];
+            data.data[i * 4 + 1] = rgb[1];
+            data.data[i * 4 + 2] = rgb[2];
+            data.data[i * 4 + 3] = Math.round(255 * options.densityOpacity *
+                                              Math.min(t / FADE, 1));
+        }
+
+        ctx.putImageData(data, 0, 0);
+
+        return image;
+    }
+});
+
+}());
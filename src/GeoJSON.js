@@ -0,0 +1,140 @@
+/**
+ *  @overview A MarkerClusterGroup that clusters GeoJSON Point features.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+/*
+ *  Flattens GeoJSON (a FeatureCollection, Feature, geometry or an array of
+ *  them) into a list of features. Features without a geometry are skipped.
+ */
+function asFeatures(geojson, features) {
+    var list, i;
+
+    features = features || [];
+
+    if( ! geojson ) {
+        return features;
+    }
+
+    if( L.Util.isArray(geojson) || geojson.type === 'FeatureCollection' ) {
+        list = L.Util.isArray(geojson) ? geojson : geojson.features;
+
+        for( i = 0; i < list.length; i++ ) {
+            asFeatures(list[i], features);
+        }
+    } else if( geojson.type !== 'Feature' || geojson.geometry ) {
+        features.push(L.GeoJSON.asFeature(geojson));
+    }
+
+    return features;
+}
+
+/**
+ *  Clusters the Point features of GeoJSON data in record mode, without
+ *  creating a marker for each of them up front. Markers are only created
+ *  through the `pointToLayer` option once their feature is shown. Other
+ *  features are shown as regular L.GeoJSON layers, without clustering.
+ *
+ *  The members of the group are the features: filters are given features,
+ *  `eachLayer`, `getLayers`, `getLayer`, `nearest` and the queries return
+ *  features rather than markers, and `hasLayer`, `removeLayer` and
+ *  `getVisibleParent` take either a feature or its marker.
+ *  @constructor
+ *
+ *  @param {Object} geojson - GeoJSON data, as accepted by `addData`.
+ *  @param {Object} options - The MarkerClusterGroup options, and
+ *      `pointToLayer(feature, latlng)` and `onEachFeature(feature, layer)` as
+ *      for L.GeoJSON.
+ */
+L.QuadCluster.GeoJSON = L.QuadCluster.MarkerClusterGroup.extend({
+    options: {
+        pointToLayer: null,
+        onEachFeature: null
+    },
+
+    _recordMode: true,
+
+    initialize: function(geojson, options) {
+        L.Util.setOptions(this, options);
+
+        L.QuadCluster.MarkerClusterGroup.prototype.initialize.call(
+            this, this._readGeoJSON(geojson), options);
+    },
+
+    /*
+     *  Adds GeoJSON data: a FeatureCollection, a Feature, a geometry or an
+     *  array of them.
+     */
+    addData: function(geojson) {
+        return this.addLayers(this._readGeoJSON(geojson));
+    },
+
+    /*
+     *  Returns the Point features to cluster, and L.GeoJSON layers for the
+     *  other features.
+     */
+    _readGeoJSON: function(geojson) {
+        var features = asFeatures(geojson);
+        var items = [];
+
+        for( var i = 0; i < features.length; i++ ) {
+            if( this._isPoint(features[i]) ) {
+                items.push(features[i]);
+            } else {
+                items.push(L.geoJson(features[i], this.options));
+            }
+        }
+
+        return items;
+    },
+
+    _lat: function(feature) {
+        return feature.geometry.coordinates[1];
+    },
+
+    _lng: function(feature) {
+        return feature.geometry.coordinates[0];
+    },
+
+    _isPoint: function(d) {
+        return d.type === 'Feature' && Boolean(d.geometry) &&
+               d.geometry.type === 'Point';
+    },
+
+    // Markers made by `pointToLayer` can't be updated, so recycled markers
+    // are left alone.
+    _createMarker: function(feature) {
+        var options = this.options;
+        var latlng = L.GeoJSON.coordsToLatLng(feature.geometry.coordinates);
+        var marker = options.pointToLayer ?
+            options.pointToLayer(feature, latlng) :
+            new L.Marker(latlng);
+
+        marker.feature = feature;
+
+        if( options.onEachFeature ) {
+            options.onEachFeature(feature, marker);
+        }
+
+        return marker;
+    },
+
+    _pointToGeoJSON: function(feature) {
+        var json = L.extend({}, feature);
+
+        // Added by L.stamp
+        delete json._leaflet_id;
+
+        return json;
+    }
+});
+
+L.QuadCluster.geoJson = function(geojson, options) {
+    return new L.QuadCluster.GeoJSON(geojson, options);
+};
+
+}());
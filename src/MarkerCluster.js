@@ -13,7 +13,11 @@
  *  A class that represents a group of points.
  */
 L.QuadCluster.MarkerCluster = L.Marker.extend({
-    initialize: function(group, node) {
+    /*
+     *  `offset` is the longitude offset of the world copy the cluster is
+     *  displayed on, relative to the coordinates of the tree.
+     */
+    initialize: function(group, node, offset) {
         var center;
         if( group.options.useGravityCenter ) {
             center = node.center;
@@ -21,19 +25,54 @@ L.QuadCluster.MarkerCluster = L.Marker.extend({
             center = node.bounds.getCenter();
         }
 
+        offset = offset || 0;
+        center = L.latLng(center.lat, center.lng + offset);
+
         L.Marker.prototype.initialize.call(this, center, {icon: this});
 
         this._group = group;
         this._node = node;
+        this._offset = offset;
+        this._worldCopies = {};
 
         this._iconNeedsUpdate = true;
     },
 
-    // Creates markers for all of the individual points contained by this cluster.
-    getAllChildMarkers: function(storageArray) {
+    /*
+     *  Creates markers for all of the individual points contained by this
+     *  cluster. If a callback is given, it is called with the markers instead.
+     *  In worker mode, the markers of clusters are fetched from the worker,
+     *  so the callback is required and called asynchronously.
+     */
+    getAllChildMarkers: function(storageArray, callback) {
+        var group = this._group;
+
+        if( typeof storageArray === 'function' ) {
+            callback = storageArray;
+            storageArray = null;
+        }
+
         storageArray = storageArray || [];
 
-        node.getPoints(storageArray);
+        if( ! callback ) {
+            if( group._inWorker && ! this._node.listed ) {
+                throw new Error('getAllChildMarkers needs a callback for ' +
+                                'clusters in worker mode');
+            }
+
+            return this._childMarkers(this._node.getPoints(), storageArray);
+        }
+
+        group._getChildPoints(this._node, L.bind(function(points) {
+            callback(this._childMarkers(points, storageArray));
+        }, this));
+    },
+
+    _childMarkers: function(points, storageArray) {
+        for( var i = 0; i < points.length; i++ ) {
+            storageArray.push(this._group._layerFor(points[i]));
+        }
+
         return storageArray;
     },
 
@@ -42,20 +81,71 @@ L.QuadCluster.MarkerCluster = L.Marker.extend({
         return this._node.mass;
     },
 
+    // Value of an aggregate registered on the group for this cluster.
+    getAggregate: function(name) {
+        return this._node.states[name];
+    },
+
+    /*
+     *  Exports the cluster as a GeoJSON Point feature. Its properties have
+     *  `cluster: true`, the number of points in `point_count` and the value of
+     *  each aggregate registered on the group.
+     */
+    toGeoJSON: function() {
+        var feature = L.Marker.prototype.toGeoJSON.apply(this, arguments);
+
+        feature.properties = L.extend({}, this._node.states, {
+            cluster: true,
+            point_count: this.getChildCount()
+        });
+
+        return feature;
+    },
+
     zoomToBounds: function() {
         var map = this._group._map;
 
-        map.fitBounds(this._node.bounds);
+        map.fitBounds(this.getBounds());
     },
 
     getBounds: function() {
-        var bounds = new L.LatLngBounds();
-        bounds.extend(this._node.bounds);
-        return bounds;
+        var bounds = this._node.bounds;
+        var offset = this._offset;
+
+        return new L.LatLngBounds(
+            [ bounds.getSouth(), bounds.getWest() + offset ],
+            [ bounds.getNorth(), bounds.getEast() + offset ]
+        );
+    },
+
+    /*
+     *  Returns the cluster for the same node on the world copy `offset`
+     *  degrees of longitude away from the tree's coordinates.
+     */
+    _getWorldCopy: function(offset) {
+        if( offset === this._offset ) {
+            return this;
+        }
+
+        if( ! this._worldCopies[offset] ) {
+            this._worldCopies[offset] = this._group._createMarkerCluster(
+                this._node, offset);
+        }
+
+        return this._worldCopies[offset];
+    },
+
+    // Whether the icon was made for the current mass and aggregates of the
+    // node, which are replaced whenever they change.
+    _iconIsCurrent: function() {
+        return this._iconMass === this._node.mass &&
+               this._iconStates === this._node.states;
     },
 
     _updateIcon: function() {
         this._iconNeedsUpdate = true;
+        this._iconMass = this._node.mass;
+        this._iconStates = this._node.states;
         if( this._icon ) {
             this.setIcon(this);
         }
@@ -72,7 +162,189 @@ L.QuadCluster.MarkerCluster = L.Marker.extend({
         return this._iconObj.createShadow();
     },
 
+    /*
+     *  Spreads the child markers out around the cluster, connecting each of
+     *  them to the cluster center with a leg. In worker mode, this happens
+     *  once the markers arrive, unless the cluster is no longer shown.
+     */
     spiderfy: function() {
-        // TODO: Implement
+        var group = this._group;
+
+        if( !group._map || group._spiderfied === this ) {
+            return;
+        }
+
+        group._unspiderfy();
+
+        this.getAllChildMarkers(L.bind(function(childMarkers) {
+            if( group._map && ! group._spiderfied && group._inCut(this) ) {
+                this._spiderfy(childMarkers);
+            }
+        }, this));
+    },
+
+    _spiderfy: function(childMarkers) {
+        var group = this._group,
+            map = group._map,
+            options = group.options,
+            centerLatLng = this.getLatLng(),
+            center = map.latLngToLayerPoint(centerLatLng),
+            positions, newPos, marker, leg, i;
+
+        if( childMarkers.length >= options.circleSpiralSwitchover ) {
+            positions = this._generatePointsSpiral(childMarkers.length, center);
+        } else {
+            positions = this._generatePointsCircle(childMarkers.length, center);
+        }
+
+        this._spiderLegs = [];
+        this._spiderMarkers = childMarkers;
+
+        // Don't let the group treat the temporary positions as real moves.
+        group._ignoreMoves = true;
+
+        for( i = 0; i < childMarkers.length; i++ ) {
+            marker = childMarkers[i];
+            newPos = map.layerPointToLatLng(positions[i]);
+
+            leg = new L.Polyline([ centerLatLng, newPos ],
+                                 options.spiderLegPolylineOptions);
+            map.addLayer(leg);
+            this._spiderLegs.push(leg);
+
+            marker._preSpiderfyLatlng = marker.getLatLng();
+            marker.setLatLng(newPos);
+            group._featureGroup.addLayer(marker);
+        }
+
+        group._ignoreMoves = false;
+
+        this.setOpacity(0.3);
+        group._spiderfied = this;
+
+        group.fire('spiderfied', {
+            cluster: this,
+            markers: childMarkers
+        });
+    },
+
+    /*
+     *  Returns the child markers to their real positions and removes the legs.
+     */
+    unspiderfy: function() {
+        var group = this._group,
+            map = group._map,
+            childMarkers = this._spiderMarkers,
+            marker, i;
+
+        if( group._spiderfied !== this ) {
+            return;
+        }
+
+        group._spiderfied = null;
+        group._ignoreMoves = true;
+
+        for( i = 0; i < childMarkers.length; i++ ) {
+            marker = childMarkers[i];
+
+            if( group._featureGroup.hasLayer(marker) ) {
+                group._featureGroup.removeLayer(marker);
+            }
+
+            marker.setLatLng(marker._preSpiderfyLatlng);
+            delete marker._preSpiderfyLatlng;
+        }
+
+        group._ignoreMoves = false;
+
+        for( i = 0; i < this._spiderLegs.length; i++ ) {
+            if( map ) {
+                map.removeLayer(this._spiderLegs[i]);
+            }
+        }
+
+        this._spiderLegs = null;
+        this._spiderMarkers = null;
+        this.setOpacity(1);
+
+        group.fire('unspiderfied', {
+            cluster: this,
+            markers: childMarkers
+        });
+    },
+
+    /*
+     *  Spiderfy position generation taken from Leaflet.markercluster.
+     */
+    _2PI: Math.PI * 2,
+    _circleFootSeparation: 25, // related to circumference of circle
+    _circleStartAngle: Math.PI / 6,
+
+    _spiralFootSeparation: 28, // related to size of spiral (experiment!)
+    _spiralLengthStart: 11,
+    _spiralLengthFactor: 5,
+
+    _generatePointsCircle: function(count, centerPt) {
+        var multiplier = this._group.options.spiderfyDistanceMultiplier,
+            circumference = multiplier * this._circleFootSeparation * (2 + count),
+            legLength = circumference / this._2PI,
+            angleStep = this._2PI / count,
+            res = [],
+            i, angle;
+
+        res.length = count;
+
+        for( i = count - 1; i >= 0; i-- ) {
+            angle = this._circleStartAngle + i * angleStep;
+            res[i] = new L.Point(centerPt.x + legLength * Math.cos(angle),
+                                 centerPt.y + legLength * Math.sin(angle))._round();
+        }
+
+        return res;
+    },
+
+    _generatePointsSpiral: function(count, centerPt) {
+        var multiplier = this._group.options.spiderfyDistanceMultiplier,
+            legLength = multiplier * this._spiralLengthStart,
+            separation = multiplier * this._spiralFootSeparation,
+            lengthFactor = multiplier * this._spiralLengthFactor,
+            angle = 0,
+            res = [],
+            i;
+
+        res.length = count;
+
+        for( i = count - 1; i >= 0; i-- ) {
+            angle += separation / legLength + i * 0.0005;
+            res[i] = new L.Point(centerPt.x + legLength * Math.cos(angle),
+                                 centerPt.y + legLength * Math.sin(angle))._round();
+            legLength += this._2PI * lengthFactor / angle;
+        }
+
+        return res;
+    }
+});
+
+/**
+ *  Icon of the default cluster look. Besides the DivIcon options, it takes
+ *  the `color` of the icon element, which is rounded to its size so that
+ *  clusters can be larger than the quadtree-cluster classes expect.
+ */
+L.QuadCluster.ClusterIcon = L.DivIcon.extend({
+    options: {
+        color: null
+    },
+
+    createIcon: function(oldIcon) {
+        var div = L.DivIcon.prototype.createIcon.call(this, oldIcon);
+        var size = L.point(this.options.iconSize);
+
+        div.style.borderRadius = (size.x / 2) + 'px';
+
+        if( this.options.color ) {
+            div.style.backgroundColor = this.options.color;
+        }
+
+        return div;
     }
 });
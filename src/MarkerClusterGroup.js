@@ -19,17 +19,123 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
          *  pixels.
          */
         maxClusterSize: 160,
+        // Deprecated: scales maxClusterSize relative to its old default of
+        // 1.4, with which clusters were about maxClusterSize pixels wide.
         clusterSizeScalingFactor: 1.4,
         iconCreateFunction: null,
 
+        /*
+         *  Styling of the default cluster icons. Their size and color scale
+         *  with their mass relative to the range of masses currently visible,
+         *  using a 'linear', 'log' or 'quantile' scale. If iconThresholds is
+         *  set (e.g. [10, 100]), they instead step at those fixed masses.
+         */
+        iconScale: 'log',
+        iconThresholds: null,
+        iconSizeRange: [ 30, 50 ],
+        iconPalette: [ '#6ecc39', '#f0c20c', '#f18017' ],
+
+        /*
+         *  'canvas' draws the clusters and points on a single canvas instead
+         *  of adding an element for each of them to the map ('dom'), which
+         *  stays fast with many thousands of visible points. They are drawn
+         *  by `drawCluster(ctx, cluster, point)` and `drawPoint(ctx, marker,
+         *  point)`, where `point` is the position in container pixels, which
+         *  return the radius in pixels within which the mouse hits them. By
+         *  default, clusters look like the default icons (`iconCreateFunction`
+         *  isn't used) and points are circles styled by `pointStyle`.
+         */
+        renderer: 'dom',
+        drawCluster: null,
+        drawPoint: null,
+        pointStyle: {
+            radius: 5,
+            color: '#fff',
+            weight: 1.5,
+            fillColor: '#2a81cb'
+        },
+
+        /*
+         *  Density mode: below the `clustersOnZoom` zoom level, the cut is
+         *  drawn as a smooth density surface on a canvas instead of as
+         *  clusters (null turns it off). Each node of the cut adds a kernel
+         *  of `densityRadius` pixels around its center, weighted by its mass
+         *  or by the value of the registered aggregate named `densityWeight`
+         *  (not in worker mode). Densities are colored through
+         *  `densityPalette`, relative to the highest density in view.
+         */
+        clustersOnZoom: null,
+        densityRadius: 25,
+        densityWeight: null,
+        densityPalette: [ '#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000' ],
+        densityOpacity: 0.8,
+
         zoomToBoundsOnClick: true,
         spiderfyOnMaxZoom: true,
 
+        // Spiderfied markers are placed on a spiral instead of a circle
+        // starting at this many markers.
+        circleSpiralSwitchover: 9,
+        // Increase to space spiderfied markers further apart
+        spiderfyDistanceMultiplier: 1,
+        spiderLegPolylineOptions: {
+            weight: 1.5,
+            color: '#222',
+            opacity: 0.5,
+            clickable: false
+        },
+
+        // Named aggregates computed for each cluster, e.g.
+        // { revenue: L.QuadCluster.Aggregate()... }. Read them with
+        // MarkerCluster.getAggregate(name).
+        aggregates: null,
+
+        // Add large batches of markers in chunks, so that the browser stays
+        // responsive. Progress is reported through `chunkprogress` events.
+        chunkedLoading: false,
+        chunkInterval: 200, // Time to spend processing per chunk, in ms
+        chunkDelay: 50,     // Time to wait between chunks, in ms
+
+        // Tree built ahead of time for the markers given to the constructor,
+        // from QuadTree.serialize with { points: markers } (or records in the
+        // same order as the markers). Skips building the tree. In worker
+        // mode, it is sent to the worker along with the markers.
+        serializedTree: null,
+
+        // Record mode: cluster plain records instead of markers. The markers
+        // are only created by `createMarker(record, recycled)` once their
+        // record is shown. `recycled` is a marker that is no longer shown, if
+        // any, which may be updated and returned instead of creating a new
+        // one. `lat` and `lng` are the accessors for the location of a
+        // record. The members of the group are then the records, e.g. for
+        // `eachLayer` and `getLayers`.
+        createMarker: null,
+        lat: null,
+        lng: null,
+
+        // URL of leaflet.quadcluster-worker.js. If set, the tree is built,
+        // filtered and cut in a Web Worker, and `refresh` fires
+        // asynchronously. Aggregates, filter functions (spatial filters
+        // work) and the queries on the tree (e.g. `nearest`) aren't available
+        // in this mode.
+        workerUrl: null,
+
         clusterMinimum: 10, // Cluster minimum size
         singlesOnZoom: 14,  // Individual markers past this zoom level
         clusterEpsilon: 0.01,   // How close two points have to be to be the
                                 // same location
-        useGravityCenter: true
+        useGravityCenter: true,
+        animate: false,         // Animate clusters splitting and merging on
+                                // zoom, if the browser supports transitions.
+        wrapLongitude: false,   // Cluster across the antimeridian and on every
+                                // world copy. Only for geographic CRSs, not
+                                // for e.g. L.CRS.Simple.
+
+        // With wrapLongitude: takes a marker and an L.LatLng on another world
+        // copy, and returns the marker showing it there. Defaults to an
+        // L.Marker with the same options. Mouse events on the copies are
+        // fired on the marker too, and clicks open its popup at the copy.
+        worldCopyMarker: null
     },
     initialize: function(markers, options) {
         L.Util.setOptions(this, options);
@@ -43,32 +149,122 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         this._nonPointGroup = L.featureGroup();
         this._nonPointGroup.on(L.FeatureGroup.EVENTS, this._propagateEvent, this);
 
+        // With the canvas renderer, the visible layers are kept in the
+        // feature group but never added to the map.
+        if( this.options.renderer === 'canvas' ) {
+            this._renderer = new L.QuadCluster.CanvasRenderer(this);
+        } else if( this.options.renderer === 'dom' ) {
+            this._renderer = null;
+        } else {
+            throw new Error('Unknown renderer: ' + this.options.renderer);
+        }
+
+        this._densityLayer = this.options.clustersOnZoom === null ? null :
+            new L.QuadCluster.DensityLayer(this);
+
+        if( this.options.createMarker ) {
+            if( ! this.options.lat || ! this.options.lng ) {
+                throw new Error('Must specify lat and lng accessors for records');
+            }
+
+            this._recordMode = true;
+            this._lat = this.options.lat;
+            this._lng = this.options.lng;
+        }
+
         var treeGen = L.QuadCluster.Tree()
-            .lng(function(d) { return d.getLatLng().lng; })
-            .lat(function(d) { return d.getLatLng().lat; })
-            .epsilon(this.options.clusterEpsilon);
+            .lng(this._lng)
+            .lat(this._lat)
+            .id(function(d) { return L.stamp(d); })
+            .epsilon(this.options.clusterEpsilon)
+            .wrap(this.options.wrapLongitude)
+            .aggregates(L.extend({}, this.options.aggregates,
+                                 this.options.iconCreateFunction.aggregates));
+
+        markers = markers || [];
+
+        // All member markers (or records), keyed by ID
+        this._layers = {};
+
+        // In record mode, the markers created for records keyed by record ID,
+        // the records of those markers keyed by marker ID, and the markers
+        // released by the last refresh.
+        this._markers = {};
+        this._markerRecords = {};
+        this._recycled = [];
+
+        // Copies of markers shown on other world copies than their own,
+        // keyed by marker ID and then by their shift in degrees of longitude
+        this._markerCopies = {};
+
+        // Markers that have moved since the last tree update, keyed by ID
+        this._pendingMoves = {};
+        this._moveFrame = null;
+        this._ignoreMoves = false;
+
+        // Currently spiderfied cluster, if any
+        this._spiderfied = null;
+
+        // Node and world copy each visible layer was created from, keyed by
+        // layer ID. Used to find related layers when animating zoom.
+        this._layerSources = {};
+        this._zoom = null;
+        this._bounds = null;
+        this._animation = null;
+
+        // Latest refresh requested from the worker, if any
+        this._refreshRequest = 0;
+        this._inWorker = !! this.options.workerUrl;
+
+        if( this._inWorker ) {
+            this._tree = this._createWorkerTree();
+        }
+
+        if( this.options.serializedTree ) {
+            for( var j = 0; j < markers.length; j++ ) {
+                this._prepareLayer(markers[j]);
+            }
+
+            if( this._inWorker ) {
+                this._tree.load(this.options.serializedTree, markers);
+            } else {
+                this._tree = treeGen.fromSerialized(this.options.serializedTree,
+                                                    markers);
+            }
+            return;
+        }
 
-        this._markers = markers;
+        if( this.options.chunkedLoading ) {
+            // The tree grows as needed when points are added outside of its
+            // bounds, so it can also start out empty.
+            this._tree = this._tree || treeGen([]);
+            this.addLayers(markers);
+            return;
+        }
 
-        // Ensure each marker has a unique ID
-        for( var i = 0; i < this._markers.length; i++ ) {
-            L.stamp(this._markers[i]);
+        var points = [];
+        for( var i = 0; i < markers.length; i++ ) {
+            if( this._prepareLayer(markers[i]) ) {
+                points.push(markers[i]);
+            }
         }
 
-        // TODO: Support adding points in after the fact. Would require
-        // the bounds to be specified beforehand.
-        this._tree = treeGen(markers);
+        if( this._inWorker ) {
+            this._tree.build(points);
+        } else {
+            this._tree = treeGen(points);
+        }
     },
 
+    // Overrides LayerGroup.hasLayer. Accepts either a layer or its ID.
     hasLayer: function(layer) {
         if( !layer ) {
             return false;
         }
 
-        for( var i = 0; i < this._markers.length; i++ ) {
-            if( layer === this._markers[i] ) {
-                return true;
-            }
+        if( layer in this._layers ||
+            L.stamp(this._pointFor(layer)) in this._layers ) {
+            return true;
         }
 
         return this._nonPointGroup.hasLayer(layer);
@@ -83,56 +279,192 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
             return this.addLayers(arr);
         }
 
-        // Don't cluster on non-point data
-        if( ! layer.getLatLng ) {
-            this._nonPointGroup.addLayer(layer);
+        // Non-point data and duplicates aren't added to the tree.
+        if( this._prepareLayer(layer) ) {
+            this._tree.add(layer);
+            this._refreshVisible();
+        }
+
+        return this;
+    },
+
+    addLayers: function(layers) {
+        if( this.options.chunkedLoading ) {
+            this._addLayersChunked(layers, 0, +new Date());
             return this;
         }
 
-        // Don't add duplicates
+        var points = [];
+
+        for( var i = 0; i < layers.length; i++ ) {
+            if( this._prepareLayer(layers[i]) ) {
+                points.push(layers[i]);
+            }
+        }
+
+        // Insert everything before updating the tree once.
+        this._tree.addAll(points);
+
+        this._refreshVisible();
+        return this;
+    },
+
+    /*
+     *  Adds non-point layers to the non-point group and starts tracking new
+     *  markers. Returns true if the layer still needs to be added to the tree.
+     */
+    _prepareLayer: function(layer) {
+        if( ! this._isPoint(layer) ) {
+            this._nonPointGroup.addLayer(layer);
+            return false;
+        }
+
         if( this.hasLayer(layer) ) {
+            return false;
+        }
+
+        this._trackLayer(layer);
+        return true;
+    },
+
+    /*
+     *  Adds layers in chunks of at most `chunkInterval` milliseconds, yielding
+     *  to the browser for `chunkDelay` milliseconds in between. Fires
+     *  `chunkprogress` after each chunk.
+     */
+    _addLayersChunked: function(layers, offset, started) {
+        var chunkStarted = +new Date();
+        var points = [];
+        var i;
+
+        for( i = offset; i < layers.length; i++ ) {
+            // Checking the time is comparatively slow, only do it every so often.
+            if( i % 200 === 0 && (+new Date() - chunkStarted) > this.options.chunkInterval ) {
+                break;
+            }
+
+            if( this._prepareLayer(layers[i]) ) {
+                points.push(layers[i]);
+            }
+        }
+
+        // Added as a batch, so that a group created empty cuts its tree open
+        // at the largest gap between the points of the first chunk.
+        this._tree.addAll(points);
+        this._refreshVisible();
+
+        this.fire('chunkprogress', {
+            processed: i,
+            total: layers.length,
+            elapsed: +new Date() - started
+        });
+
+        if( i < layers.length ) {
+            setTimeout(L.bind(this._addLayersChunked, this, layers, i, started),
+                       this.options.chunkDelay);
+        }
+    },
+    removeLayer: function(layer) {
+        if( layer instanceof L.LayerGroup ) {
+            var arr = [];
+            for( var i in layer._layers ) {
+                arr.push(layer._layers[i]);
+            }
+            return this.removeLayers(arr);
+        }
+
+        var point = this._pointFor(layer);
+
+        if( ! this._isPoint(point) ) {
+            this._nonPointGroup.removeLayer(layer);
+            return this;
+        }
+
+        if( ! this._layers[L.stamp(point)] ) {
             return this;
         }
 
-        L.stamp(layer);
-        this._markers.push(layer);
-        this._tree.add(layer);
+        this._tree.remove(point);
+        this._untrackLayer(point);
+
+        if( this._featureGroup.hasLayer(layer) ) {
+            this._featureGroup.removeLayer(layer);
+        }
 
         this._refreshVisible();
 
         return this;
     },
 
-    addLayers: function(layers) {
-        for( var i = 0; i < layers.length; i++ ) {
-            var layer = layers[i];
+    removeLayers: function(layers) {
+        var points = [];
+        var i, layer, point;
+
+        for( i = 0; i < layers.length; i++ ) {
+            layer = layers[i];
+            point = this._pointFor(layer);
 
-            if( ! layer.getLatLng ) {
-                this._nonPointGroup.addLayer(layer);
+            if( ! this._isPoint(point) ) {
+                this._nonPointGroup.removeLayer(layer);
                 continue;
             }
 
-            if( this.hasLayer(layer) ) {
+            if( ! this._layers[L.stamp(point)] ) {
                 continue;
             }
 
-            this._markers.push(layer);
-            this._tree.add(layer);
+            points.push(point);
+            this._untrackLayer(point);
+
+            if( this._featureGroup.hasLayer(layer) ) {
+                this._featureGroup.removeLayer(layer);
+            }
+        }
+
+        if( points.length === 0 ) {
+            return this;
         }
 
+        this._tree.removeAll(points);
+
         this._refreshVisible();
         return this;
     },
-    removeLayer: function(layer) {
-        // Requires the tree to be completely rebuilt if layer being removed is
-        // clustered.
-        throw new Error("removeLayer not yet implemented.");
+
+    /*
+     *  Updates the position of a member marker in the clusters. Markers are
+     *  tracked automatically when they fire `move`, so this is only needed if
+     *  a marker's location is changed without firing the event. In record
+     *  mode, call it with the record (or its marker) after changing its
+     *  location.
+     *
+     *  Updates within the same animation frame are applied together.
+     */
+    updateLayer: function(layer) {
+        layer = this._pointFor(layer);
+
+        if( this._layers[L.stamp(layer)] ) {
+            // In record mode, the marker is created again at the new location
+            // when it is shown.
+            this._dropMarker(layer);
+            this._pendingMoves[L.stamp(layer)] = layer;
+
+            if( ! this._moveFrame ) {
+                this._moveFrame = L.Util.requestAnimFrame(this._processMoves, this);
+            }
+        }
+
+        return this;
     },
 
-    // Overrides LayerGroup.eachLayer
+    // Overrides LayerGroup.eachLayer. Iterates over all members, visible or
+    // not. Use getVisible() for the layers currently drawn. In record mode,
+    // the members are the records, so that no markers are created for them.
     eachLayer: function(method, context) {
-        // TODO: Probably need to iterate over all layers, not just visible.
-        this._featureGroup.eachLayer(method, context);
+        for( var id in this._layers ) {
+            method.call(context, this._layers[id]);
+        }
+
         this._nonPointGroup.eachLayer(method, context);
 
         return this;
@@ -147,29 +479,77 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         return layers;
     },
 
-    // Overrides LayerGroup.getLayer
+    // Overrides LayerGroup.getLayer. Returns the record in record mode.
     getLayer: function(id) {
-        if( this._featureGroup.hasLayer(id) ) {
-            return this._featureGroup.getLayer(id);
+        if( this._layers[id] ) {
+            return this._layers[id];
         }
 
         if( this._nonPointGroup.hasLayer(id) ) {
             return this._nonPointGroup.getLayer(id);
         }
 
-        for( var i = 0; i < this._markers.length; i++ ) {
-            if( L.stamp(this._markers[i]) === id ) {
-                return this._markers[i];
-            }
+        return null;
+    },
+
+    // Overrides FeatureGroup.getBounds. Covers all members, visible or not.
+    getBounds: function() {
+        var bounds = new L.LatLngBounds();
+        var point;
+
+        for( var id in this._layers ) {
+            point = this._layers[id];
+            // Spiderfied markers are away from their real location.
+            bounds.extend(point._preSpiderfyLatlng ||
+                          [ this._lat(point), this._lng(point) ]);
         }
 
-        return null;
+        bounds.extend(this._nonPointGroup.getBounds());
+
+        return bounds;
+    },
+
+    /*
+     *  Overrides LayerGroup.toGeoJSON. Exports all members, visible or not,
+     *  as a FeatureCollection. Use MarkerCluster.toGeoJSON to export clusters.
+     */
+    toGeoJSON: function() {
+        var features = [];
+        var json;
+
+        for( var id in this._layers ) {
+            features.push(this._pointToGeoJSON(this._layers[id]));
+        }
+
+        this._nonPointGroup.eachLayer(function(layer) {
+            if( ! layer.toGeoJSON ) {
+                return;
+            }
+
+            json = layer.toGeoJSON();
+            if( json.type === 'FeatureCollection' ) {
+                features.push.apply(features, json.features);
+            } else {
+                features.push(L.GeoJSON.asFeature(json));
+            }
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
     },
 
     // Overrides  LayerGroup.clearLayers
     clearLayers: function() {
-        this._markers = [];
+        this._unspiderfy();
+
+        for( var id in this._layers ) {
+            this._untrackLayer(this._layers[id]);
+        }
+
         this._tree.clear();
+        this._recycled = [];
 
         this._featureGroup.clearLayers();
         this._nonPointGroup.clearLayers();
@@ -183,11 +563,21 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
 
         this._refreshVisible();
 
-        this._featureGroup.onAdd(map);
+        if( this._renderer ) {
+            this._renderer.onAdd(map);
+        } else {
+            this._featureGroup.onAdd(map);
+        }
         this._nonPointGroup.onAdd(map);
 
+        if( this._densityLayer ) {
+            this._densityLayer.onAdd(map);
+        }
+
         this._map.on('zoomend', this._zoomEnd, this);
         this._map.on('moveend', this._moveEnd, this);
+        this._map.on('click', this._onMapClick, this);
+        this._map.on('zoomstart movestart', this._unspiderfy, this);
 
         if( this.options.zoomToBoundsOnClick || this.options.spiderfyOnMaxZoom ) {
             this.on('clusterclick', this._zoomOrSpiderfy, this);
@@ -196,12 +586,27 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
 
     // Overrides FeatureGroup.onRemove
     onRemove: function(map) {
+        this._unspiderfy();
+        this._stopAnimation();
+        this._zoom = null;
+        this._bounds = null;
+
         map.off('zoomend', this._zoomEnd, this);
         map.off('moveend', this._moveEnd, this);
+        map.off('click', this._onMapClick, this);
+        map.off('zoomstart movestart', this._unspiderfy, this);
 
-        this._featureGroup.onRemove(map);
+        if( this._renderer ) {
+            this._renderer.onRemove(map);
+        } else {
+            this._featureGroup.onRemove(map);
+        }
         this._nonPointGroup.onRemove(map);
 
+        if( this._densityLayer ) {
+            this._densityLayer.onRemove(map);
+        }
+
         this._map = null;
 
         if( this.options.zoomToBoundsOnClick || this.options.spiderfyOnMaxZoom ) {
@@ -209,13 +614,148 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         }
     },
 
+    /*
+     *  Removes the group from its map and stops its worker, if any. The group
+     *  can't be used afterwards.
+     */
+    destroy: function() {
+        if( this._map ) {
+            this._map.removeLayer(this);
+        }
+
+        if( this._inWorker ) {
+            this._tree.terminate();
+        }
+
+        return this;
+    },
+
+    /*
+     *  Sets the default filter. It is combined with the named filters set
+     *  through `setFilter`.
+     */
     filter: function(filterFunction) {
-        this._tree.filter(filterFunction);
-        this._refreshVisible();
+        return this.setFilter(L.QuadCluster.Tree.DEFAULT_FILTER, filterFunction);
+    },
+
+    /*
+     *  Sets a named filter, replacing any filter with the same name. Markers
+     *  are shown only if every filter accepts them. Only the clusters whose
+     *  markers changed are recomputed.
+     *
+     *  Throws in worker mode, as functions can't be sent to the worker. Use
+     *  `setSpatialFilter` there.
+     */
+    setFilter: function(name, filterFunction) {
+        var tree = this._tree;
+
+        this._changeFilter(name, function(done) {
+            tree.setFilter(name, filterFunction, done);
+        });
+
+        return this;
+    },
+
+    /*
+     *  Removes the named filter.
+     */
+    clearFilter: function(name) {
+        var tree = this._tree;
+
+        this._changeFilter(name, function(done) {
+            tree.clearFilter(name, done);
+        });
+
+        return this;
+    },
+
+    /*
+     *  Sets a named filter that only shows markers inside a region, such as
+     *  L.LatLngBounds or an L.Circle or L.Polygon layer (e.g. drawn with
+     *  Leaflet.draw). See L.QuadCluster.Region for the supported regions.
+     *  It is combined with the other filters.
+     */
+    setSpatialFilter: function(name, region) {
+        var tree = this._tree;
+
+        this._changeFilter(name, function(done) {
+            tree.setSpatialFilter(name, region, done);
+        });
+
+        return this;
+    },
+
+    getFilters: function() {
+        return this._tree.getFilters();
     },
 
     aggregate: function(agg) {
-        return this._tree.aggregate(agg);
+        return this._localTree('aggregate').aggregate(agg);
+    },
+
+    /*
+     *  Registers a named aggregate that is computed for every cluster, and
+     *  kept up to date as markers are added, removed and filtered.
+     */
+    addAggregate: function(name, agg) {
+        this._localTree('addAggregate').addAggregate(name, agg);
+        this._refreshVisible();
+        return this;
+    },
+
+    removeAggregate: function(name) {
+        this._localTree('removeAggregate').removeAggregate(name);
+        this._refreshVisible();
+        return this;
+    },
+
+    /*
+     *  Returns the value of a registered aggregate over all active markers.
+     */
+    getAggregate: function(name) {
+        return this._localTree('getAggregate').getAggregate(name);
+    },
+
+    /*
+     *  Returns the `k` shown (i.e. not filtered out) markers closest to
+     *  `latlng`, as an array of objects with `layer` and `distance` (in
+     *  meters) properties ordered by increasing distance. The only option is
+     *  `maxDistance`, which limits the search to that many meters. In record
+     *  mode, the layers are the records.
+     */
+    nearest: function(latlng, k, options) {
+        var tree = this._localTree('nearest');
+
+        return tree.nearest(latlng, k, options).map(function(d) {
+            return { layer: d.point, distance: d.distance };
+        });
+    },
+
+    /*
+     *  Returns the shown markers within `bounds` as an object with the
+     *  matching `layers`. If `agg` is given, either as an aggregate or as the
+     *  name of a registered aggregate, the result also has the aggregate
+     *  `state` over those markers. In record mode, the layers are the records.
+     */
+    queryBounds: function(bounds, agg) {
+        var tree = this._localTree('queryBounds');
+
+        return this._queryResult(tree.queryBounds(bounds, agg));
+    },
+
+    /*
+     *  Returns the shown markers within `radius` meters of `latlng`. See
+     *  `queryBounds`.
+     */
+    queryRadius: function(latlng, radius, agg) {
+        var tree = this._localTree('queryRadius');
+
+        return this._queryResult(tree.queryRadius(latlng, radius, agg));
+    },
+
+    unspiderfy: function() {
+        this._unspiderfy();
+        return this;
     },
 
     getVisible: function() {
@@ -235,6 +775,51 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         return ret;
     },
 
+    /*
+     *  Returns the visible layer that currently represents the given member
+     *  marker: either the marker itself, or the cluster containing it. Returns
+     *  null if the marker is not shown (e.g. filtered out or out of view).
+     *  In record mode, either a record or the marker created for it.
+     */
+    getVisibleParent: function(marker) {
+        var point = this._pointFor(marker);
+        var node = this._tree.getLeaf(point);
+        var id;
+
+        // Filtered out points stay in their leaf, but aren't shown. Worker
+        // trees only return leaves of active points.
+        if( ! node ||
+            ( ! this._inWorker && node.activePoints.indexOf(point) === -1 ) ) {
+            return null;
+        }
+
+        // Records only have a marker while it is shown.
+        marker = this._recordMode ? this._markers[L.stamp(point)] : point;
+        marker = marker && this._shownLayer(marker);
+
+        if( marker ) {
+            return marker;
+        }
+
+        for( ; node; node = node.parent ) {
+            if( ! node.marker ) {
+                continue;
+            }
+
+            if( this._inCut(node.marker) ) {
+                return node.marker;
+            }
+
+            for( id in node.marker._worldCopies ) {
+                if( this._inCut(node.marker._worldCopies[id]) ) {
+                    return node.marker._worldCopies[id];
+                }
+            }
+        }
+
+        return null;
+    },
+
     getVisibleClusters: function() {
         var allVis = this.getVisible();
         var ret = [];
@@ -248,71 +833,405 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         return ret;
     },
 
-    _getExpandedVisibleBounds: function() {
-        var map = this._map,
-            bounds = map.getBounds(),
-            sw = bounds.getSouthWest(),
-            ne = bounds.getNorthEast(),
-            //latDiff = L.Browser.mobile ? 0 : Math.abs(sw.lat - ne.lat),
-            //lngDiff = L.Browser.mobile ? 0 : Math.abs(sw.lng - ne.lng);
-            latDiff = 0,
-            lngDiff = 0;
-
-        return L.latLngBounds(
-            L.latLng(sw.lat - latDiff, sw.lng - lngDiff),
-            L.latLng(ne.lat + latDiff, ne.lng + lngDiff)
-        );
+    // Location of a point in the tree
+    _lat: function(d) {
+        return d.getLatLng().lat;
     },
 
-    _getClusterWidth: function() {
-        var map = this._map;
-        var size = this.options.maxClusterSize;
-        var scale = this.options.clusterSizeScalingFactor;
-        var zoom = map.getZoom();
-
-        return (size * scale) / Math.pow(2, zoom);
+    _lng: function(d) {
+        return d.getLatLng().lng;
     },
 
-    _newLayersClustered: function(bounds, width) {
-        var nodes = this._tree.cut(bounds, width);
-        this._currentCut = nodes;
-        this._updateCutStats();
+    /*
+     *  Points are the members that are clustered in the tree. They are the
+     *  markers themselves, or in record mode any objects that aren't layers.
+     */
+    _recordMode: false,
+
+    _isPoint: function(layer) {
+        if( this._recordMode ) {
+            return ! (layer instanceof L.Class);
+        }
+
+        return Boolean(layer.getLatLng);
+    },
+
+    // Returns the marker displaying a point, creating it in record mode.
+    _layerFor: function(point) {
+        if( ! this._recordMode ) {
+            return point;
+        }
+
+        var id = L.stamp(point);
+        var marker = this._markers[id];
+
+        if( ! marker ) {
+            marker = this._createMarker(point, this._recycled.pop());
+            this._markers[id] = marker;
+            this._markerRecords[L.stamp(marker)] = point;
+        }
+
+        return marker;
+    },
+
+    // Returns the point displayed by a marker
+    _pointFor: function(layer) {
+        if( ! this._recordMode ) {
+            return layer;
+        }
+
+        return this._markerRecords[L.stamp(layer)] || layer;
+    },
+
+    _createMarker: function(record, recycled) {
+        return this.options.createMarker(record, recycled);
+    },
+
+    _pointToGeoJSON: function(point) {
+        var properties;
+
+        if( this._recordMode ) {
+            properties = L.extend({}, point);
+            // Added by L.stamp
+            delete properties._leaflet_id;
+
+            return {
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'Point',
+                    coordinates: [ this._lng(point), this._lat(point) ]
+                }
+            };
+        }
+
+        // Spiderfied markers are away from their real location.
+        var latLng = point._preSpiderfyLatlng || point.getLatLng();
+
+        return L.GeoJSON.getFeature(point, {
+            type: 'Point',
+            coordinates: L.GeoJSON.latLngToCoords(latLng)
+        });
+    },
+
+    _trackLayer: function(layer) {
+        this._layers[L.stamp(layer)] = layer;
+
+        // Records don't fire `move`, changes are reported through
+        // `updateLayer`.
+        if( ! this._recordMode ) {
+            layer.on('move', this._onMarkerMove, this);
+        }
+    },
+
+    _untrackLayer: function(layer) {
+        delete this._layers[L.stamp(layer)];
+        delete this._pendingMoves[L.stamp(layer)];
+
+        if( this._recordMode ) {
+            this._dropMarker(layer);
+        } else {
+            layer.off('move', this._onMarkerMove, this);
+            this._dropCopies(layer);
+        }
+    },
+
+    /*
+     *  Forgets the marker created for a record, if any.
+     */
+    _dropMarker: function(record) {
+        var id = L.stamp(record);
+        var marker = this._markers[id];
+
+        if( marker ) {
+            if( this._featureGroup.hasLayer(marker) ) {
+                this._featureGroup.removeLayer(marker);
+            }
+
+            this._dropCopies(marker);
+            delete this._markers[id];
+            delete this._markerRecords[L.stamp(marker)];
+        }
+    },
+
+    /*
+     *  Releases the markers created for records that are no longer shown, so
+     *  that the next refresh can recycle them.
+     */
+    _releaseMarkers: function() {
+        var released = [];
+        var id, marker;
+
+        for( id in this._markers ) {
+            marker = this._markers[id];
+
+            if( ! this._shownLayer(marker) ) {
+                this._dropCopies(marker);
+                delete this._markers[id];
+                delete this._markerRecords[L.stamp(marker)];
+                released.push(marker);
+            }
+        }
+
+        this._recycled = released;
+    },
+
+    _onMarkerMove: function(e) {
+        if( this._ignoreMoves ) {
+            return;
+        }
+
+        this.updateLayer(e.target);
+    },
+
+    _queryResult: function(result) {
+        var ret = { layers: result.points };
+
+        if( result.hasOwnProperty('state') ) {
+            ret.state = result.state;
+        }
+
+        return ret;
+    },
+
+    /*
+     *  Makes a change to the filter with the given name through `change`,
+     *  then fires `filterchange` with the number of active markers before and
+     *  after the change and refreshes the view. In worker mode, this happens
+     *  once `change` calls back with the counts.
+     */
+    _changeFilter: function(name, change) {
+        var before;
+
+        if( this._inWorker ) {
+            change(L.bind(function(result) {
+                this._filterChanged(name, result.before, result.after);
+            }, this));
+            return;
+        }
+
+        before = this._tree.root.mass;
+        change();
+        this._filterChanged(name, before, this._tree.root.mass);
+    },
+
+    _filterChanged: function(name, before, after) {
+        this.fire('filterchange', {
+            name: name,
+            before: before,
+            after: after
+        });
+
+        this._refreshVisible();
+    },
+
+    _createWorkerTree: function() {
+        var options = this.options;
+
+        if( options.aggregates || options.iconCreateFunction.aggregates ) {
+            throw new Error('Aggregates are not supported in worker mode');
+        }
+
+        // The weights are the states of an aggregate.
+        if( options.densityWeight !== null ) {
+            throw new Error('densityWeight is not supported in worker mode');
+        }
+
+        return new L.QuadCluster.WorkerTree(new Worker(options.workerUrl), {
+            lat: this._lat,
+            lng: this._lng,
+            id: function(d) { return L.stamp(d); },
+            epsilon: options.clusterEpsilon,
+            wrap: options.wrapLongitude,
+            minimum: options.clusterMinimum
+        });
+    },
+
+    /*
+     *  Calls back with the points of a node of the cut. In worker mode, the
+     *  points of clusters are only sent on request, so the callback may be
+     *  called asynchronously.
+     */
+    _getChildPoints: function(node, callback) {
+        if( this._inWorker ) {
+            this._tree.getPoints(node, callback);
+        } else {
+            callback(node.getPoints());
+        }
+    },
+
+    /*
+     *  Returns the tree for a method that needs to query it directly, which
+     *  isn't possible while it runs in a worker.
+     */
+    _localTree: function(method) {
+        if( this._inWorker ) {
+            throw new Error(method + ' is not available in worker mode');
+        }
+
+        return this._tree;
+    },
+
+    /*
+     *  Applies all of the position updates queued since the last frame as a
+     *  single tree update.
+     */
+    _processMoves: function() {
+        var pending = this._pendingMoves;
+        var points = [];
+
+        this._pendingMoves = {};
+        this._moveFrame = null;
+
+        for( var id in pending ) {
+            points.push(pending[id]);
+        }
+
+        if( points.length === 0 ) {
+            return;
+        }
+
+        // The tree finds the old leaf of each marker through its index.
+        this._tree.moveAll(points);
+        this._refreshVisible();
+    },
+
+    _getExpandedVisibleBounds: function() {
+        var map = this._map,
+            bounds = map.getBounds(),
+            sw = bounds.getSouthWest(),
+            ne = bounds.getNorthEast(),
+            //latDiff = L.Browser.mobile ? 0 : Math.abs(sw.lat - ne.lat),
+            //lngDiff = L.Browser.mobile ? 0 : Math.abs(sw.lng - ne.lng);
+            latDiff = 0,
+            lngDiff = 0;
+
+        return L.latLngBounds(
+            L.latLng(sw.lat - latDiff, sw.lng - lngDiff),
+            L.latLng(ne.lat + latDiff, ne.lng + lngDiff)
+        );
+    },
+
+    /*
+     *  Returns a function projecting locations to pixel coordinates at the
+     *  current zoom level, using the map's CRS.
+     */
+    _getProjection: function() {
+        var map = this._map;
+        var zoom = map.getZoom();
+
+        return function(latLng) {
+            return map.project(latLng, zoom);
+        };
+    },
+
+    /*
+     *  Returns a projection for a world copy `offset` degrees of longitude
+     *  away from the tree's own coordinates.
+     */
+    _shiftProjection: function(project, offset) {
+        if( ! offset ) {
+            return project;
+        }
+
+        return function(latLng) {
+            return project(L.latLng(latLng.lat, latLng.lng + offset));
+        };
+    },
 
+    /*
+     *  Cuts each visible copy of the world separately, so that clusters show
+     *  up on all of them. Returns the nodes of the cut and the world copy
+     *  offset of each node.
+     */
+    _cutClustered: function(bounds, size, project) {
+        var shiftBounds = L.QuadCluster.Util.shiftBounds;
+        var offsets = this._tree.worldOffsets(bounds);
+        var nodes = [];
+        var nodeOffsets = [];
+        var i, k, cut;
+
+        for( k = 0; k < offsets.length; k++ ) {
+            cut = this._tree.cut(shiftBounds(bounds, -offsets[k]), size,
+                                 this._shiftProjection(project, offsets[k]));
+
+            for( i = 0; i < cut.length; i++ ) {
+                nodes.push(cut[i]);
+                nodeOffsets.push(offsets[k]);
+            }
+        }
+
+        return { nodes: nodes, offsets: nodeOffsets };
+    },
+
+    _cutSingles: function(bounds) {
+        var shiftBounds = L.QuadCluster.Util.shiftBounds;
+        var offsets = this._tree.worldOffsets(bounds);
+        var nodes = [];
+        var nodeOffsets = [];
+        var i, k, cut;
+
+        for( k = 0; k < offsets.length; k++ ) {
+            cut = this._tree.cutLeaves(shiftBounds(bounds, -offsets[k]));
+
+            for( i = 0; i < cut.length; i++ ) {
+                nodes.push(cut[i]);
+                nodeOffsets.push(offsets[k]);
+            }
+        }
+
+        return { nodes: nodes, offsets: nodeOffsets };
+    },
+
+    _newLayersClustered: function(nodes, nodeOffsets) {
         var newLayers = [];
-        var i, j, markers, node;
+        var i, j, points, marker, node, cluster;
 
         for( i = 0; i < nodes.length; i++ ) {
             node = nodes[i];
 
-            if( node.mass < this.options.clusterMinimum ) {
-                markers = node.getPoints();
-                for( j = 0; j < markers.length; j++ ) {
-                    newLayers.push(markers[j]);
+            if( this._showsPoints(node) ) {
+                points = node.getPoints();
+                for( j = 0; j < points.length; j++ ) {
+                    marker = this._layerOnCopy(points[j], this._pointShift(
+                        points[j], node, nodeOffsets[i]));
+                    newLayers.push(marker);
+                    this._setLayerSource(marker, node, nodeOffsets[i]);
                 }
             } else {
                 if( ! node.marker ) {
                     node.marker = this._createMarkerCluster(node);
                 }
-                node.marker._updateIcon();
-                newLayers.push(node.marker);
+                cluster = node.marker._getWorldCopy(nodeOffsets[i]);
+                if( this._iconScaleChanged || ! cluster._iconIsCurrent() ) {
+                    cluster._updateIcon();
+                }
+                newLayers.push(cluster);
+                this._setLayerSource(cluster, node, nodeOffsets[i]);
             }
         }
 
         return newLayers;
     },
 
-    _newLayersSingles: function(bounds) {
-        var nodes = this._tree.cutLeaves(bounds);
-        this._currentCut = nodes;
-
-        this._updateCutStats();
+    // Whether the points of a node of the cut are shown instead of a cluster
+    _showsPoints: function(node) {
+        return node.mass < this.options.clusterMinimum;
+    },
 
+    _newLayersSingles: function(nodes, nodeOffsets, bounds) {
         var markers = [];
+        var marker, shift;
         for( var i = 0; i < nodes.length; i++ ) {
             var points = nodes[i].getPoints();
             for( var j = 0; j < points.length; j++ ) {
-                if( bounds.contains(points[j].getLatLng()) ) {
-                    markers.push(points[j]);
+                shift = this._pointShift(points[j], nodes[i], nodeOffsets[i]);
+
+                if( bounds.contains([ this._lat(points[j]),
+                                      this._lng(points[j]) + shift ]) ) {
+                    marker = this._layerOnCopy(points[j], shift);
+                    markers.push(marker);
+                    this._setLayerSource(marker, nodes[i], nodeOffsets[i]);
                 }
             }
         }
@@ -320,6 +1239,132 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         return markers;
     },
 
+    /*
+     *  Returns how many degrees of longitude a point of `node` is shifted by
+     *  when it is shown on the world copy `offset` degrees away from the
+     *  tree's coordinates. The tree may also have wrapped the point's own
+     *  longitude onto another world copy.
+     */
+    _pointShift: function(point, node, offset) {
+        var lng = this._lng(point);
+        var west = node.bounds.getWest();
+        var shift = 0;
+
+        if( lng < west || lng > node.bounds.getEast() ) {
+            shift = 360 * Math.ceil((west - lng) / 360);
+        }
+
+        return shift + offset;
+    },
+
+    /*
+     *  Returns the layer showing a point shifted by `shift` degrees of
+     *  longitude: its marker if there is no shift, otherwise a copy of the
+     *  marker on that world copy, the same way clusters have copies through
+     *  `_getWorldCopy`. Events of the copies are reported as the marker's.
+     */
+    _layerOnCopy: function(point, shift) {
+        var marker = this._layerFor(point);
+        var id = L.stamp(marker);
+        var latLng, copies;
+
+        if( shift === 0 ) {
+            return marker;
+        }
+
+        latLng = L.latLng(this._lat(point), this._lng(point) + shift);
+        copies = this._markerCopies[id] = this._markerCopies[id] || {};
+
+        if( ! copies[shift] ) {
+            copies[shift] = this._createWorldCopy(marker, latLng);
+        } else if( ! copies[shift].getLatLng().equals(latLng) ) {
+            // The marker has moved since.
+            copies[shift].setLatLng(latLng);
+        }
+
+        return copies[shift];
+    },
+
+    /*
+     *  Creates the marker showing `marker` at `latLng` on another world copy.
+     *  See the `worldCopyMarker` option.
+     */
+    _createWorldCopy: function(marker, latLng) {
+        var create = this.options.worldCopyMarker;
+        var copy = create ? create(marker, latLng) :
+                            new L.Marker(latLng, marker.options);
+
+        copy._worldCopyOf = marker;
+        copy.on(L.FeatureGroup.EVENTS, this._fireOnMarker, this);
+
+        return copy;
+    },
+
+    /*
+     *  Fires the events of a world copy on the marker it shows, so that the
+     *  listeners of the marker hear about its copies too. A click opens the
+     *  popup of the marker at the copy.
+     */
+    _fireOnMarker: function(e) {
+        var copy = e.target;
+        var marker = copy._worldCopyOf;
+
+        if( e.type === 'click' && marker._popup && this._map ) {
+            this._map.openPopup(marker._popup.setLatLng(copy.getLatLng()));
+        }
+
+        marker.fire(e.type, {
+            originalEvent: e.originalEvent,
+            latlng: e.latlng,
+            worldCopy: copy
+        });
+    },
+
+    /*
+     *  Removes the copies of a marker on other world copies.
+     */
+    _dropCopies: function(marker) {
+        var id = L.stamp(marker);
+        var copies = this._markerCopies[id];
+
+        for( var shift in copies ) {
+            if( this._featureGroup.hasLayer(copies[shift]) ) {
+                this._featureGroup.removeLayer(copies[shift]);
+            }
+        }
+
+        delete this._markerCopies[id];
+    },
+
+    /*
+     *  Returns the visible layer showing a marker, which is either the marker
+     *  itself or one of its copies, or null.
+     */
+    _shownLayer: function(marker) {
+        var copies = this._markerCopies[L.stamp(marker)];
+
+        if( this._inCut(marker) ) {
+            return marker;
+        }
+
+        for( var shift in copies ) {
+            if( this._inCut(copies[shift]) ) {
+                return copies[shift];
+            }
+        }
+
+        return null;
+    },
+
+    /*
+     *  Whether a layer shows a node of the current cut. Layers collapsing
+     *  into their new cluster after zooming out are still in the feature
+     *  group until the animation ends, but no longer count as visible.
+     */
+    _inCut: function(layer) {
+        return L.stamp(layer) in this._layerSources;
+    },
+
     _updateCutStats: function() {
         var minMass = Infinity;
         var maxMass = -Infinity;
@@ -336,11 +1381,126 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
 
         minMass = totalMass > 0 ? minMass : 0;
         maxMass = totalMass > 0 ? maxMass : 0;
-        this.cutStats = {
+        var stats = {
             mass: totalMass,
             points: cut.length,
-            massRange: [ minMass, maxMass ]
+            massRange: [ minMass, maxMass ],
+            masses: cut.map(function(d) {
+                return d.mass;
+            }).sort(function(a, b) {
+                return a - b;
+            })
+        };
+
+        this._iconScaleChanged = ! this._sameIconScale(this.cutStats, stats);
+        this.cutStats = stats;
+    },
+
+    /*
+     *  Whether the icons scaled with the cut stats `a` look the same when
+     *  scaled with `b`, so that only clusters whose node changed need new
+     *  icons.
+     */
+    _sameIconScale: function(a, b) {
+        var i;
+
+        if( this.options.iconThresholds ) {
+            return true;
+        }
+
+        if( ! a || a.massRange[0] !== b.massRange[0] ||
+            a.massRange[1] !== b.massRange[1] ) {
+            return false;
+        }
+
+        if( this.options.iconScale === 'quantile' ) {
+            if( a.masses.length !== b.masses.length ) {
+                return false;
+            }
+
+            for( i = 0; i < a.masses.length; i++ ) {
+                if( a.masses[i] !== b.masses[i] ) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    },
+
+    /*
+     *  Returns the position of `mass` on the icon scale as a number between 0
+     *  and 1, relative to the masses of the current cut.
+     */
+    _getIconScale: function(mass) {
+        var options = this.options;
+        var stats = this.cutStats;
+        var min = stats.massRange[0];
+        var max = stats.massRange[1];
+        var i, lo, hi, mid;
+
+        if( options.iconThresholds ) {
+            for( i = 0; i < options.iconThresholds.length; i++ ) {
+                if( mass < options.iconThresholds[i] ) {
+                    break;
+                }
+            }
+            return i / options.iconThresholds.length;
+        }
+
+        if( max <= min ) {
+            return 0;
+        }
+
+        if( options.iconScale === 'quantile' ) {
+            // Fraction of the cut with a smaller mass
+            lo = 0;
+            hi = stats.masses.length;
+            while( lo < hi ) {
+                mid = (lo + hi) >> 1;
+                if( stats.masses[mid] < mass ) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            return Math.min(lo / (stats.masses.length - 1), 1);
+        }
+
+        if( options.iconScale === 'log' ) {
+            mass = Math.log(mass);
+            min = Math.log(Math.max(min, 1));
+            max = Math.log(max);
+        }
+
+        return Math.max(0, Math.min((mass - min) / (max - min), 1));
+    },
+
+    /*
+     *  Returns the color at position `t` (between 0 and 1) of a gradient
+     *  through the hex colors of `palette`, as an [r, g, b] array.
+     */
+    _interpolateColor: function(palette, t) {
+        var parse = function(hex) {
+            var value = parseInt(hex.slice(1), 16);
+            return [ (value >> 16) & 255, (value >> 8) & 255, value & 255 ];
         };
+
+        if( palette.length === 1 ) {
+            return parse(palette[0]);
+        }
+
+        var position = t * (palette.length - 1);
+        var index = Math.min(Math.floor(position), palette.length - 2);
+        var from = parse(palette[index]);
+        var to = parse(palette[index + 1]);
+        var f = position - index;
+
+        return [
+            Math.round(from[0] + (to[0] - from[0]) * f),
+            Math.round(from[1] + (to[1] - from[1]) * f),
+            Math.round(from[2] + (to[2] - from[2]) * f)
+        ];
     },
 
     _refreshVisible: function() {
@@ -348,24 +1508,163 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
             return;
         }
 
+        var bounds = this._getExpandedVisibleBounds();
+        var zoom = this._map.getZoom();
+        var singles = zoom >= this.options.singlesOnZoom;
+        var cut;
+
+        if( this._inWorker ) {
+            this._refreshFromWorker(bounds, zoom, singles);
+            return;
+        }
+
+        if( singles ) {
+            cut = this._cutSingles(bounds);
+        } else {
+            cut = this._cutClustered(bounds, this._getCutSize(zoom),
+                                     this._getProjection());
+        }
+
+        this._showCut(cut.nodes, cut.offsets, bounds, zoom, singles);
+    },
+
+    /*
+     *  Requests the cut from the worker tree, and shows it once it arrives
+     *  unless another refresh was requested in the meantime.
+     */
+    _refreshFromWorker: function(bounds, zoom, singles) {
+        var request = ++this._refreshRequest;
+
+        var done = L.bind(function(nodes, offsets) {
+            if( request === this._refreshRequest && this._map ) {
+                this._showCut(nodes, offsets, bounds, zoom, singles);
+            }
+        }, this);
+
+        if( singles ) {
+            this._tree.cutLeaves(bounds, done);
+        } else {
+            this._tree.cut(bounds, this._getCutSize(zoom),
+                           this._getWorkerProjection(zoom), done);
+        }
+    },
+
+    // Whether the cut at `zoom` is drawn as a density surface
+    _showsDensity: function(zoom) {
+        return this._densityLayer !== null &&
+               zoom < this.options.clustersOnZoom &&
+               zoom < this.options.singlesOnZoom;
+    },
+
+    /*
+     *  Returns the largest size of the nodes of the cut at `zoom`. Density
+     *  surfaces are cut finer, into nodes about the size of their kernels.
+     */
+    _getCutSize: function(zoom) {
+        var options = this.options;
+
+        if( this._showsDensity(zoom) ) {
+            return options.densityRadius;
+        }
+
+        return options.maxClusterSize * options.clusterSizeScalingFactor / 1.4;
+    },
+
+    /*
+     *  Describes the projection of the map at the given zoom for the worker
+     *  tree, as the number of pixels per degree at the equator and the
+     *  parameters of the projection. Only the projections of the built-in
+     *  CRSs are supported.
+     */
+    _getWorkerProjection: function(zoom) {
+        var crs = this._map.options.crs;
+        var projection = crs.projection;
+        var spec, ratio, origin;
+
+        if( projection === L.Projection.LonLat ) {
+            spec = { type: 'lonlat' };
+        } else if( projection === L.Projection.SphericalMercator ) {
+            spec = { type: 'mercator', e: 0, maxLat: projection.MAX_LATITUDE };
+        } else if( projection === L.Projection.Mercator ) {
+            ratio = projection.R_MINOR / projection.R_MAJOR;
+            spec = {
+                type: 'mercator',
+                e: Math.sqrt(1 - ratio * ratio),
+                maxLat: projection.MAX_LATITUDE
+            };
+        } else {
+            throw new Error('The projection of the map is not supported in ' +
+                            'worker mode');
+        }
+
+        origin = crs.latLngToPoint(L.latLng(0, 0), zoom);
+        spec.kx = crs.latLngToPoint(L.latLng(0, 1), zoom).x - origin.x;
+        spec.ky = crs.latLngToPoint(L.latLng(1, 0), zoom).y - origin.y;
+
+        // Latitude of 1 degree once projected, in degrees
+        if( spec.type === 'mercator' ) {
+            spec.ky /= L.QuadCluster.Util.mercatorLat(1, spec.e);
+        }
+
+        return spec;
+    },
+
+    /*
+     *  Replaces the visible layers with those for the given cut, animating
+     *  the change if the zoom changed.
+     */
+    _showCut: function(nodes, nodeOffsets, newVisibleBounds, zoom, singles) {
+        // The clusters are about to change, put spiderfied markers back
+        // where they belong first.
+        this._unspiderfy();
+        this._stopAnimation();
+
         var i;
 
-        var newVisibleBounds = this._getExpandedVisibleBounds();
-        var clusterWidth = this._getClusterWidth();
-        var zoom = this._map.getZoom();
+        var oldSources = this._layerSources;
+        var removed = [];
+
+        this._layerSources = {};
+        this._currentCut = nodes;
+        this._updateCutStats();
+
+        var density = ! singles && this._showsDensity(zoom);
 
         var newLayers;
-        if( zoom < this.options.singlesOnZoom ) {
-            newLayers = this._newLayersClustered(newVisibleBounds, clusterWidth);
+        if( singles ) {
+            newLayers = this._newLayersSingles(nodes, nodeOffsets,
+                                               newVisibleBounds);
+        } else if( density ) {
+            // Drawn by the density layer instead
+            newLayers = [];
         } else {
-            newLayers = this._newLayersSingles(newVisibleBounds);
+            newLayers = this._newLayersClustered(nodes, nodeOffsets);
+        }
+
+        if( this._densityLayer ) {
+            this._densityLayer.setCut(density ? nodes : [],
+                                      density ? nodeOffsets : []);
         }
 
+        var animate = this._canAnimate() && this._zoom !== null &&
+                      zoom !== this._zoom;
+        var zoomOut = zoom < this._zoom;
+
+        // The new layers are the ones with a source in the new cut.
         var oldLayers = this._featureGroup.getLayers();
         for( i = 0; i < oldLayers.length; i++ ) {
-            if( newLayers.indexOf(oldLayers[i]) < 0 ) {
+            if( ! this._inCut(oldLayers[i]) ) {
                 // No longer visible, remove
-                this._featureGroup.removeLayer(oldLayers[i]);
+                removed.push(oldLayers[i]);
+            }
+        }
+
+        if( animate && zoomOut ) {
+            // Removed layers are collapsed into their new parents first.
+            this._animateZoomOut(newLayers, removed, oldSources);
+        } else {
+            for( i = 0; i < removed.length; i++ ) {
+                this._featureGroup.removeLayer(removed[i]);
             }
         }
 
@@ -376,9 +1675,204 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
             }
         }
 
+        if( animate && ! zoomOut ) {
+            this._animateZoomIn(newLayers, removed, oldSources);
+        }
+
+        this._zoom = zoom;
+        this._bounds = newVisibleBounds;
+
+        if( this._recordMode ) {
+            this._releaseMarkers();
+        }
+
         this.fire('refresh', newLayers);
     },
 
+    _setLayerSource: function(layer, node, offset) {
+        this._layerSources[L.stamp(layer)] = {
+            node: node,
+            offset: offset
+        };
+    },
+
+    // Layers drawn on a canvas have no elements to animate.
+    _canAnimate: function() {
+        return this.options.animate && !!L.DomUtil.TRANSITION &&
+               ! this._renderer;
+    },
+
+    /*
+     *  Returns a function that finds the layer, among `layers`, that was
+     *  created for a node or its closest ancestor on the same world copy.
+     */
+    _sourceLookup: function(layers, layerSources) {
+        // Layers keyed by the ID of their node and their world copy offset
+        var byNode = {};
+        var i, source;
+
+        for( i = 0; i < layers.length; i++ ) {
+            source = layerSources[L.stamp(layers[i])];
+            if( source ) {
+                byNode[L.stamp(source.node) + ':' + source.offset] = layers[i];
+            }
+        }
+
+        return function(node, offset) {
+            var layer;
+
+            for( ; node; node = node.parent ) {
+                layer = byNode[L.stamp(node) + ':' + offset];
+                if( layer ) {
+                    return layer;
+                }
+            }
+
+            return null;
+        };
+    },
+
+    /*
+     *  Moves the children of clusters that were split by zooming in out from
+     *  the position of their old cluster.
+     */
+    _animateZoomIn: function(newLayers, removed, oldSources) {
+        var map = this._map;
+        var parents = removed.filter(function(d) {
+            return d instanceof L.QuadCluster.MarkerCluster;
+        });
+        var findParent = this._sourceLookup(parents, oldSources);
+        var moving = [];
+        var i, layer, source, parent;
+
+        for( i = 0; i < newLayers.length; i++ ) {
+            layer = newLayers[i];
+            source = this._layerSources[L.stamp(layer)];
+
+            if( oldSources[L.stamp(layer)] || ! layer._icon ) {
+                // Was already visible
+                continue;
+            }
+
+            parent = findParent(source.node, source.offset);
+            if( parent ) {
+                layer._setPos(map.latLngToLayerPoint(parent.getLatLng()));
+                moving.push(layer);
+            }
+        }
+
+        this._startAnimation(moving, function() {
+            for( var i = 0; i < moving.length; i++ ) {
+                moving[i].update();
+            }
+        }, []);
+    },
+
+    /*
+     *  Moves layers that were merged by zooming out into the position of their
+     *  new cluster before removing them.
+     */
+    _animateZoomOut: function(newLayers, removed, oldSources) {
+        var map = this._map;
+        var clusters = newLayers.filter(function(d) {
+            return d instanceof L.QuadCluster.MarkerCluster;
+        });
+        var findCluster = this._sourceLookup(clusters, this._layerSources);
+        var moving = [];
+        var targets = [];
+        var i, source, target;
+
+        for( i = 0; i < removed.length; i++ ) {
+            source = oldSources[L.stamp(removed[i])];
+            target = null;
+
+            if( source && removed[i]._icon ) {
+                target = findCluster(source.node, source.offset);
+            }
+
+            if( target ) {
+                moving.push(removed[i]);
+                targets.push(target);
+            } else {
+                this._featureGroup.removeLayer(removed[i]);
+            }
+        }
+
+        this._startAnimation(moving, function() {
+            for( var i = 0; i < moving.length; i++ ) {
+                moving[i]._setPos(map.latLngToLayerPoint(targets[i].getLatLng()));
+                L.DomUtil.setOpacity(moving[i]._icon, 0);
+            }
+        }, moving);
+    },
+
+    /*
+     *  Turns on transitions for the given layers, then applies the changes
+     *  made by `step`. Layers in `remove` are removed once the animation is
+     *  done.
+     */
+    _startAnimation: function(layers, step, remove) {
+        if( layers.length === 0 ) {
+            return;
+        }
+
+        var transition = 'all ' + (this._animationDuration / 1000) + 's ease-out';
+        var i;
+
+        // Force a layout so the starting positions are applied before the
+        // transition is turned on.
+        L.Util.falseFn(document.body.offsetWidth);
+
+        for( i = 0; i < layers.length; i++ ) {
+            this._setTransition(layers[i], transition);
+        }
+
+        step.call(this);
+
+        this._animation = {
+            layers: layers,
+            remove: remove,
+            timer: setTimeout(L.bind(this._stopAnimation, this),
+                              this._animationDuration)
+        };
+    },
+
+    /*
+     *  Finishes the current animation, if any.
+     */
+    _stopAnimation: function() {
+        var animation = this._animation;
+        if( ! animation ) {
+            return;
+        }
+
+        this._animation = null;
+        clearTimeout(animation.timer);
+
+        var i;
+        for( i = 0; i < animation.layers.length; i++ ) {
+            this._setTransition(animation.layers[i], '');
+        }
+
+        for( i = 0; i < animation.remove.length; i++ ) {
+            this._featureGroup.removeLayer(animation.remove[i]);
+        }
+
+        this.fire('animationend');
+    },
+
+    _setTransition: function(layer, transition) {
+        if( layer._icon ) {
+            layer._icon.style[L.DomUtil.TRANSITION] = transition;
+        }
+
+        if( layer._shadow ) {
+            layer._shadow.style[L.DomUtil.TRANSITION] = transition;
+        }
+    },
+
+    _animationDuration: 300,
+
     /*
      *  Taken from Leaflet.markercluster.
      */
@@ -396,6 +1890,17 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
      *  Taken from Leaflet.markercluster.
      */
     _propagateEvent: function(e) {
+        // Events of copies of markers on other world copies are also fired on
+        // the marker, but are only reported once, through the copy.
+        if( e.worldCopy ) {
+            return;
+        }
+
+        // Copies of markers on other world copies stand in for the marker.
+        if( e.layer._worldCopyOf ) {
+            e.layer = e.layer._worldCopyOf;
+        }
+
         if( e.layer instanceof L.QuadCluster.MarkerCluster ) {
             // Prevent multiple clustermouseover/off events if the icon
             // is made up of stacked divs.
@@ -409,30 +1914,48 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
         this.fire(e.type, e);
     },
 
+    /*
+     *  Returns the diameter in pixels, the 'r,g,b' color and the 'small',
+     *  'medium' or 'large' tier of the default look of a cluster of `mass`
+     *  points, scaled with the clusters currently visible.
+     */
+    _getClusterStyle: function(mass) {
+        var options = this.options;
+        var t = this._getIconScale(mass);
+        var sizeRange = options.iconSizeRange;
+
+        return {
+            size: Math.round(sizeRange[0] + (sizeRange[1] - sizeRange[0]) * t),
+            rgb: this._interpolateColor(options.iconPalette, t).join(','),
+            tier: [ 'small', 'medium', 'large' ][Math.min(Math.floor(t * 3), 2)]
+        };
+    },
+
     // Default functionality for icon creation
     _defaultIconCreateFunction: function(cluster) {
         var childCount = cluster.getChildCount();
-
-        // TODO: Dynamically create gradient based on currently visible clusters.
-        var c = 'quadtree-cluster quadtree-cluster-';
-        if( childCount < 10 ) {
-            c += 'small';
-        } else if( childCount < 100 ) {
-            c += 'medium';
-        } else {
-            c += 'large';
-        }
-
-        return new L.DivIcon({
-            html: '<div><span>' + childCount + '</span></div>',
-            className: c,
-            iconSize: new L.Point(40, 40)
+        var style = cluster._group._getClusterStyle(childCount);
+        var size = style.size;
+        var inner = size - 10;
+        var rgb = style.rgb;
+
+        // The quadtree-cluster classes lay the icon out, only its size and
+        // colors are set inline.
+        return new L.QuadCluster.ClusterIcon({
+            html: '<div style="width:' + inner + 'px;height:' + inner + 'px;' +
+                  'border-radius:' + (inner / 2) + 'px;' +
+                  'background-color:rgba(' + rgb + ',0.7);">' +
+                  '<span style="line-height:' + inner + 'px;">' + childCount +
+                  '</span></div>',
+            className: 'quadtree-cluster quadtree-cluster-' + style.tier,
+            iconSize: new L.Point(size, size),
+            color: 'rgba(' + rgb + ',0.4)'
         });
     },
 
-    _createMarkerCluster: function(node) {
+    _createMarkerCluster: function(node, offset) {
         // TODO: Allow configuration (bind popups, etc.)
-        var marker = new L.QuadCluster.MarkerCluster(this, node);
+        var marker = new L.QuadCluster.MarkerCluster(this, node, offset);
         L.stamp(marker);
 
         return marker;
@@ -447,9 +1970,34 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
     },
 
     _moveEnd: function() {
+        // Zooming fires both zoomend and moveend, don't refresh (and cut a
+        // zoom animation short) for a view that is already shown.
+        if( this._zoom === this._map.getZoom() && this._bounds &&
+            this._bounds.equals(this._getExpandedVisibleBounds()) ) {
+            return;
+        }
+
         this._refreshVisible();
     },
 
+    _unspiderfy: function() {
+        if( this._spiderfied ) {
+            this._spiderfied.unspiderfy();
+        }
+    },
+
+    /*
+     *  Clicks on the map unspiderfy, except for clicks on layers drawn by the
+     *  canvas renderer. The map doesn't see clicks on DOM markers.
+     */
+    _onMapClick: function(e) {
+        if( this._renderer && this._renderer.hitTest(e.containerPoint) ) {
+            return;
+        }
+
+        this._unspiderfy();
+    },
+
     _zoomOrSpiderfy: function(e) {
         var map = this._map;
         if( map.getMaxZoom() == map.getZoom()) {
@@ -470,3 +2018,121 @@ L.QuadCluster.MarkerClusterGroup = L.FeatureGroup.extend({
 L.QuadCluster.markerClusterGroup = function(markers, options) {
     return new L.QuadCluster.MarkerClusterGroup(markers, options);
 };
+
+/**
+ *  Creates an iconCreateFunction that draws each cluster as an SVG pie or
+ *  donut chart of the categories of its markers, with the number of markers
+ *  in the middle.
+ *
+ *  The category counts are maintained by the tree through an aggregate that
+ *  the group registers automatically.
+ *
+ *  @param {Object} options
+ *  @param {function} options.category - Takes a marker and returns its
+ *      category.
+ *  @param {(function|Object)=} options.color - Takes a category and returns
+ *      its color, or an object mapping categories to colors. Categories
+ *      without a color are assigned one from `options.palette`.
+ *  @param {string[]=} options.palette - Colors assigned to categories in the
+ *      order they are first seen.
+ *  @param {number=} options.innerRadius - Radius of the hole of the donut as
+ *      a fraction of the radius of the chart. 0 draws a pie chart.
+ *  @param {(function|number)=} options.size - Diameter of the chart in pixels,
+ *      or a function taking the number of markers and returning it.
+ *  @param {string=} options.aggregate - Name of the category aggregate.
+ */
+L.QuadCluster.pieIconCreateFunction = function(options) {
+    options = L.extend({
+        color: {},
+        palette: [ '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+                   '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf' ],
+        innerRadius: 0.6,
+        size: function(count) {
+            return Math.round(30 + 10 * Math.log(count) / Math.LN10);
+        },
+        aggregate: 'categories'
+    }, options);
+
+    if( ! options.category ) {
+        throw new Error('Must specify a category accessor for pie cluster icons');
+    }
+
+    var assigned = {};
+    var nextColor = 0;
+
+    function getColor(category) {
+        var color = typeof options.color === 'function' ?
+            options.color(category) :
+            options.color[category];
+
+        if( ! color ) {
+            if( ! assigned[category] ) {
+                assigned[category] = options.palette[nextColor % options.palette.length];
+                nextColor += 1;
+            }
+            color = assigned[category];
+        }
+
+        return color;
+    }
+
+    var iconCreateFunction = function(cluster) {
+        var count = cluster.getChildCount();
+        var counts = cluster.getAggregate(options.aggregate) || {};
+        var size = typeof options.size === 'function' ? options.size(count) : options.size;
+        var half = size / 2;
+        var inner = half * options.innerRadius;
+
+        // Each slice is drawn as a dashed stroke of a circle halfway between
+        // the inner and outer radius, which also handles full circles.
+        var radius = (half + inner) / 2;
+        var width = half - inner;
+        var circumference = 2 * Math.PI * radius;
+        var categories = Object.keys(counts).sort();
+        var offset = 0;
+        var svg = [];
+        var i, length;
+
+        svg.push('<svg xmlns="http://www.w3.org/2000/svg" width="' + size +
+                 '" height="' + size + '" viewBox="0 0 ' + size + ' ' + size + '">');
+        svg.push('<g transform="rotate(-90 ' + half + ' ' + half + ')">');
+
+        for( i = 0; i < categories.length; i++ ) {
+            length = circumference * counts[categories[i]] / count;
+
+            svg.push('<circle cx="' + half + '" cy="' + half + '" r="' + radius +
+                     '" fill="none" stroke="' + getColor(categories[i]) +
+                     '" stroke-width="' + width +
+                     '" stroke-dasharray="' + length + ' ' + (circumference - length) +
+                     '" stroke-dashoffset="' + (-offset) + '"/>');
+
+            offset += length;
+        }
+
+        svg.push('</g>');
+
+        if( inner > 0 ) {
+            svg.push('<circle cx="' + half + '" cy="' + half + '" r="' + inner +
+                     '" fill="#fff" fill-opacity="0.8"/>');
+        }
+
+        svg.push('<text x="' + half + '" y="' + half + '" text-anchor="middle"' +
+                 ' dominant-baseline="central" font-size="12"' +
+                 ' font-family="Helvetica Neue, Arial, Helvetica, sans-serif">' +
+                 count + '</text>');
+        svg.push('</svg>');
+
+        return new L.DivIcon({
+            html: svg.join(''),
+            className: 'quadtree-cluster-pie',
+            iconSize: new L.Point(size, size)
+        });
+    };
+
+    // Picked up by MarkerClusterGroup so the counts are kept in the tree.
+    iconCreateFunction.aggregates = {};
+    iconCreateFunction.aggregates[options.aggregate] =
+        L.QuadCluster.Aggregate.categories(options.category);
+
+    return iconCreateFunction;
+};
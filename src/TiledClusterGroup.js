@@ -0,0 +1,289 @@
+/**
+ *  @overview A cluster layer showing tiles cut by a server.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+var TILE_SIZE = L.QuadCluster.Util.TILE_SIZE;
+
+/**
+ *  Node of the cut described by a feature of a tile. Has the same fields as a
+ *  QuadTreeNode that are needed to display it.
+ *  @constructor
+ */
+function TileNode(feature) {
+    var properties = feature.properties || {};
+    var coords = feature.geometry.coordinates;
+    var bbox = feature.bbox;
+
+    this.center = L.latLng(coords[1], coords[0]);
+    this.bounds = bbox ?
+        L.latLngBounds([ bbox[1], bbox[0] ], [ bbox[3], bbox[2] ]) :
+        L.latLngBounds(this.center, this.center);
+    this.parent = null;
+    this.marker = null;
+    this.cluster = Boolean(properties.cluster);
+    this.states = {};
+
+    if( this.cluster ) {
+        this.mass = properties.point_count;
+        this.points = [];
+
+        for( var name in properties ) {
+            if( name !== 'cluster' && name !== 'point_count' ) {
+                this.states[name] = properties[name];
+            }
+        }
+    } else {
+        this.mass = 1;
+        this.points = [ feature ];
+    }
+}
+
+TileNode.prototype.getPoints = function(storage) {
+    storage = storage || [];
+
+    for( var i = 0; i < this.points.length; i++ ) {
+        storage.push(this.points[i]);
+    }
+
+    return storage;
+};
+
+/**
+ *  Shows the clusters and points of the tiles served by
+ *  L.QuadCluster.tileHandler, through the same icons as a MarkerClusterGroup.
+ *  Clustering happens on the server, so the clustering options and aggregates
+ *  are those of the handler. Markers for the points are created through
+ *  `pointToLayer` as in L.QuadCluster.GeoJSON.
+ *
+ *  The layer only works with maps in the default spherical Mercator CRS. Its
+ *  contents come from the server, so markers, filters and queries can't be
+ *  used on it. Clusters only know their bounds, not their points, so clicking
+ *  them zooms to their bounds but they can't be spiderfied.
+ *  @constructor
+ *
+ *  @param {string} url - Template of the URL of the tiles, e.g.
+ *      '/clusters/{z}/{x}/{y}'.
+ *  @param {Object} options - The MarkerClusterGroup display options, and
+ *      `pointToLayer` and `onEachFeature` as for L.GeoJSON.
+ */
+L.QuadCluster.TiledClusterGroup = L.QuadCluster.GeoJSON.extend({
+    options: {
+        spiderfyOnMaxZoom: false
+    },
+
+    initialize: function(url, options) {
+        if( options && options.spiderfyOnMaxZoom ) {
+            throw new Error('spiderfyOnMaxZoom is not supported by tiled ' +
+                            'cluster groups');
+        }
+
+        L.QuadCluster.GeoJSON.prototype.initialize.call(this, null, options);
+
+        this._url = url;
+
+        // Tiles of the current zoom level by key, each with the nodes of its
+        // cut once loaded, and the callbacks waiting for it until then.
+        this._tiles = {};
+        this._tileZoom = null;
+    },
+
+    /*
+     *  Loads the visible tiles again, e.g. after the data on the server
+     *  changed.
+     */
+    redraw: function() {
+        this._tiles = {};
+        this._refreshVisible();
+        return this;
+    },
+
+    /*
+     *  Loads the tiles covering the visible bounds, and shows their cuts once
+     *  they have all arrived unless another refresh was requested in the
+     *  meantime.
+     */
+    _refreshVisible: function() {
+        if( ! this._map ) {
+            return;
+        }
+
+        var bounds = this._getExpandedVisibleBounds();
+        var zoom = this._map.getZoom();
+        var request = ++this._refreshRequest;
+        var tiles = this._getTiles(bounds, zoom);
+        var remaining = tiles.length;
+        var i;
+
+        if( zoom !== this._tileZoom ) {
+            this._tiles = {};
+            this._tileZoom = zoom;
+        }
+
+        var show = L.bind(function() {
+            var nodes = [];
+            var offsets = [];
+            var i, j, cut;
+
+            if( request !== this._refreshRequest || ! this._map ) {
+                return;
+            }
+
+            for( i = 0; i < tiles.length; i++ ) {
+                cut = tiles[i].tile.nodes;
+                for( j = 0; j < cut.length; j++ ) {
+                    nodes.push(cut[j]);
+                    offsets.push(tiles[i].offset);
+                }
+            }
+
+            this._showCut(nodes, offsets, bounds, zoom, false);
+        }, this);
+
+        var done = function() {
+            remaining -= 1;
+            if( remaining === 0 ) {
+                show();
+            }
+        };
+
+        if( tiles.length === 0 ) {
+            show();
+        }
+
+        for( i = 0; i < tiles.length; i++ ) {
+            tiles[i].tile = this._loadTile(zoom, tiles[i].x, tiles[i].y);
+        }
+
+        for( i = 0; i < tiles.length; i++ ) {
+            if( tiles[i].tile.nodes ) {
+                done();
+            } else {
+                tiles[i].tile.callbacks.push(done);
+            }
+        }
+    },
+
+    /*
+     *  Returns the tiles covering `bounds`, with their `x` wrapped into the
+     *  first world copy and the longitude `offset` of the copy they are shown
+     *  on.
+     */
+    _getTiles: function(bounds, zoom) {
+        var map = this._map;
+        var n = Math.pow(2, zoom);
+        var nw = map.project(bounds.getNorthWest(), zoom)
+            .divideBy(TILE_SIZE).floor();
+        var se = map.project(bounds.getSouthEast(), zoom)
+            .divideBy(TILE_SIZE).floor();
+        var tiles = [];
+        var x, y;
+
+        for( y = Math.max(nw.y, 0); y <= Math.min(se.y, n - 1); y++ ) {
+            for( x = nw.x; x <= se.x; x++ ) {
+                tiles.push({
+                    x: ((x % n) + n) % n,
+                    y: y,
+                    offset: Math.floor(x / n) * 360
+                });
+            }
+        }
+
+        return tiles;
+    },
+
+    /*
+     *  Returns the tile at `zoom`, `x` and `y`, starting to load it if needed.
+     *  Its `callbacks` are called once it is loaded. Tiles that fail to load
+     *  fire `tileerror` and are shown empty.
+     */
+    _loadTile: function(zoom, x, y) {
+        var key = zoom + '/' + x + '/' + y;
+        var url = L.Util.template(this._url, { z: zoom, x: x, y: y });
+        var tile = this._tiles[key];
+
+        if( tile ) {
+            return tile;
+        }
+
+        tile = { nodes: null, callbacks: [] };
+        this._tiles[key] = tile;
+
+        this._request(url, L.bind(function(error, data) {
+            var callbacks = tile.callbacks;
+            var features = (data && data.features) || [];
+            var i;
+
+            if( error ) {
+                // Try again on the next refresh.
+                if( this._tiles[key] === tile ) {
+                    delete this._tiles[key];
+                }
+
+                this.fire('tileerror', { url: url, error: error });
+            }
+
+            tile.nodes = [];
+            tile.callbacks = null;
+
+            for( i = 0; i < features.length; i++ ) {
+                tile.nodes.push(new TileNode(features[i]));
+            }
+
+            for( i = 0; i < callbacks.length; i++ ) {
+                callbacks[i]();
+            }
+        }, this));
+
+        return tile;
+    },
+
+    /*
+     *  Fetches JSON from `url` and calls `callback` with an error, if any, and
+     *  the parsed data.
+     */
+    _request: function(url, callback) {
+        var xhr = new XMLHttpRequest();
+
+        xhr.onreadystatechange = function() {
+            var data;
+
+            if( xhr.readyState !== 4 ) {
+                return;
+            }
+
+            if( xhr.status !== 200 ) {
+                callback(new Error('Failed to load ' + url + ' (' +
+                                   xhr.status + ')'));
+                return;
+            }
+
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch( e ) {
+                callback(e);
+                return;
+            }
+
+            callback(null, data);
+        };
+
+        xhr.open('GET', url, true);
+        xhr.send();
+    },
+
+    // Whether a point or a cluster is shown was decided by the server.
+    _showsPoints: function(node) {
+        return ! node.cluster;
+    }
+});
+
+L.QuadCluster.tiledClusterGroup = function(url, options) {
+    return new L.QuadCluster.TiledClusterGroup(url, options);
+};
+
+}());
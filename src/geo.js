@@ -0,0 +1,364 @@
+/**
+ *  @overview Minimal geometry classes for running the quad tree without
+ *      Leaflet, e.g. in a Web Worker or in Node where Leaflet can't be loaded.
+ *  @license MIT
+ *
+ *  Ported from Leaflet's L.LatLng, L.LatLngBounds, L.Point, L.Bounds,
+ *  L.LineUtil.clipSegment and L.extend.
+ *  Leaflet:    Copyright 2010-2013 Vladimir Agafonkin
+ *              Licensed via the BSD 2-Clause License
+ *
+ *  Only defines the classes if Leaflet isn't loaded, so it is safe to include
+ *  either way.
+ */
+
+/* global L:true */
+
+if( typeof L === 'undefined' ) {
+    L = {};
+}
+
+(function() {
+
+if( L.LatLng ) {
+    return;
+}
+
+L.extend = function(dest) {
+    var i, j, src;
+
+    for( j = 1; j < arguments.length; j++ ) {
+        src = arguments[j];
+        for( i in src ) {
+            dest[i] = src[i];
+        }
+    }
+    return dest;
+};
+
+L.Util = {
+    extend: L.extend,
+    isArray: Array.isArray
+};
+
+L.Point = function(x, y) {
+    this.x = x;
+    this.y = y;
+};
+
+L.Point.prototype = {
+    clone: function() {
+        return new L.Point(this.x, this.y);
+    },
+
+    subtract: function(point) {
+        point = L.point(point);
+        return new L.Point(this.x - point.x, this.y - point.y);
+    }
+};
+
+L.point = function(x, y) {
+    if( x instanceof L.Point ) {
+        return x;
+    }
+    if( L.Util.isArray(x) ) {
+        return new L.Point(x[0], x[1]);
+    }
+    if( x === undefined || x === null ) {
+        return x;
+    }
+    return new L.Point(x, y);
+};
+
+L.Bounds = function(a, b) {
+    if( ! a ) {
+        return;
+    }
+
+    var points = b ? [ a, b ] : a;
+
+    for( var i = 0; i < points.length; i++ ) {
+        this.extend(points[i]);
+    }
+};
+
+L.Bounds.prototype = {
+    extend: function(point) {
+        point = L.point(point);
+
+        if( ! this.min && ! this.max ) {
+            this.min = point.clone();
+            this.max = point.clone();
+        } else {
+            this.min.x = Math.min(point.x, this.min.x);
+            this.max.x = Math.max(point.x, this.max.x);
+            this.min.y = Math.min(point.y, this.min.y);
+            this.max.y = Math.max(point.y, this.max.y);
+        }
+        return this;
+    },
+
+    getSize: function() {
+        return this.max.subtract(this.min);
+    }
+};
+
+L.bounds = function(a, b) {
+    if( ! a || a instanceof L.Bounds ) {
+        return a;
+    }
+    return new L.Bounds(a, b);
+};
+
+L.LatLng = function(lat, lng) {
+    lat = parseFloat(lat);
+    lng = parseFloat(lng);
+
+    if( isNaN(lat) || isNaN(lng) ) {
+        throw new Error('Invalid LatLng object: (' + lat + ', ' + lng + ')');
+    }
+
+    this.lat = lat;
+    this.lng = lng;
+};
+
+L.LatLng.DEG_TO_RAD = Math.PI / 180;
+
+L.LatLng.prototype = {
+    // Haversine distance, in meters
+    distanceTo: function(other) {
+        other = L.latLng(other);
+
+        var R = 6378137,
+            d2r = L.LatLng.DEG_TO_RAD,
+            dLat = (other.lat - this.lat) * d2r,
+            dLon = (other.lng - this.lng) * d2r,
+            lat1 = this.lat * d2r,
+            lat2 = other.lat * d2r,
+            sin1 = Math.sin(dLat / 2),
+            sin2 = Math.sin(dLon / 2);
+
+        var a = sin1 * sin1 + sin2 * sin2 * Math.cos(lat1) * Math.cos(lat2);
+
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    toString: function() {
+        return 'LatLng(' + this.lat + ', ' + this.lng + ')';
+    }
+};
+
+L.latLng = function(a, b) {
+    if( a instanceof L.LatLng ) {
+        return a;
+    }
+    if( L.Util.isArray(a) ) {
+        if( typeof a[0] === 'number' || typeof a[0] === 'string' ) {
+            return new L.LatLng(a[0], a[1]);
+        }
+        return null;
+    }
+    if( a === undefined || a === null ) {
+        return a;
+    }
+    if( typeof a === 'object' && 'lat' in a ) {
+        return new L.LatLng(a.lat, 'lng' in a ? a.lng : a.lon);
+    }
+    if( b === undefined ) {
+        return null;
+    }
+    return new L.LatLng(a, b);
+};
+
+L.LatLngBounds = function(southWest, northEast) {
+    if( ! southWest ) {
+        return;
+    }
+
+    var latlngs = northEast ? [ southWest, northEast ] : southWest;
+
+    for( var i = 0; i < latlngs.length; i++ ) {
+        this.extend(latlngs[i]);
+    }
+};
+
+L.LatLngBounds.prototype = {
+    extend: function(obj) {
+        if( ! obj ) {
+            return this;
+        }
+
+        var latLng = L.latLng(obj);
+        if( latLng !== null ) {
+            obj = latLng;
+        } else {
+            obj = L.latLngBounds(obj);
+        }
+
+        if( obj instanceof L.LatLng ) {
+            if( ! this._southWest && ! this._northEast ) {
+                this._southWest = new L.LatLng(obj.lat, obj.lng);
+                this._northEast = new L.LatLng(obj.lat, obj.lng);
+            } else {
+                this._southWest.lat = Math.min(obj.lat, this._southWest.lat);
+                this._southWest.lng = Math.min(obj.lng, this._southWest.lng);
+                this._northEast.lat = Math.max(obj.lat, this._northEast.lat);
+                this._northEast.lng = Math.max(obj.lng, this._northEast.lng);
+            }
+        } else if( obj instanceof L.LatLngBounds ) {
+            this.extend(obj._southWest);
+            this.extend(obj._northEast);
+        }
+        return this;
+    },
+
+    getCenter: function() {
+        return new L.LatLng(
+            (this._southWest.lat + this._northEast.lat) / 2,
+            (this._southWest.lng + this._northEast.lng) / 2);
+    },
+
+    getSouthWest: function() {
+        return this._southWest;
+    },
+
+    getNorthEast: function() {
+        return this._northEast;
+    },
+
+    getNorthWest: function() {
+        return new L.LatLng(this.getNorth(), this.getWest());
+    },
+
+    getSouthEast: function() {
+        return new L.LatLng(this.getSouth(), this.getEast());
+    },
+
+    getWest: function() {
+        return this._southWest.lng;
+    },
+
+    getSouth: function() {
+        return this._southWest.lat;
+    },
+
+    getEast: function() {
+        return this._northEast.lng;
+    },
+
+    getNorth: function() {
+        return this._northEast.lat;
+    },
+
+    contains: function(obj) {
+        if( typeof obj[0] === 'number' || obj instanceof L.LatLng ) {
+            obj = L.latLng(obj);
+        } else {
+            obj = L.latLngBounds(obj);
+        }
+
+        var sw = this._southWest,
+            ne = this._northEast,
+            sw2, ne2;
+
+        if( obj instanceof L.LatLngBounds ) {
+            sw2 = obj.getSouthWest();
+            ne2 = obj.getNorthEast();
+        } else {
+            sw2 = ne2 = obj;
+        }
+
+        return (sw2.lat >= sw.lat) && (ne2.lat <= ne.lat) &&
+               (sw2.lng >= sw.lng) && (ne2.lng <= ne.lng);
+    },
+
+    intersects: function(bounds) {
+        bounds = L.latLngBounds(bounds);
+
+        var sw = this._southWest,
+            ne = this._northEast,
+            sw2 = bounds.getSouthWest(),
+            ne2 = bounds.getNorthEast();
+
+        return (ne2.lat >= sw.lat) && (sw2.lat <= ne.lat) &&
+               (ne2.lng >= sw.lng) && (sw2.lng <= ne.lng);
+    },
+
+    isValid: function() {
+        return !!(this._southWest && this._northEast);
+    }
+};
+
+L.latLngBounds = function(a, b) {
+    if( ! a || a instanceof L.LatLngBounds ) {
+        return a;
+    }
+    return new L.LatLngBounds(a, b);
+};
+
+L.LineUtil = {
+    // Cohen-Sutherland line clipping algorithm
+    clipSegment: function(a, b, bounds) {
+        var codeA = this._getBitCode(a, bounds),
+            codeB = this._getBitCode(b, bounds),
+            codeOut, p, newCode;
+
+        while( true ) {
+            if( ! (codeA | codeB) ) {
+                // Both inside the clip window
+                return [ a, b ];
+            } else if( codeA & codeB ) {
+                // Both on the same side outside of the clip window
+                return false;
+            }
+
+            codeOut = codeA || codeB;
+            p = this._getEdgeIntersection(a, b, codeOut, bounds);
+            newCode = this._getBitCode(p, bounds);
+
+            if( codeOut === codeA ) {
+                a = p;
+                codeA = newCode;
+            } else {
+                b = p;
+                codeB = newCode;
+            }
+        }
+    },
+
+    _getEdgeIntersection: function(a, b, code, bounds) {
+        var dx = b.x - a.x,
+            dy = b.y - a.y,
+            min = bounds.min,
+            max = bounds.max;
+
+        if( code & 8 ) {
+            return new L.Point(a.x + dx * (max.y - a.y) / dy, max.y);
+        } else if( code & 4 ) {
+            return new L.Point(a.x + dx * (min.y - a.y) / dy, min.y);
+        } else if( code & 2 ) {
+            return new L.Point(max.x, a.y + dy * (max.x - a.x) / dx);
+        } else if( code & 1 ) {
+            return new L.Point(min.x, a.y + dy * (min.x - a.x) / dx);
+        }
+    },
+
+    _getBitCode: function(p, bounds) {
+        var code = 0;
+
+        if( p.x < bounds.min.x ) {
+            code |= 1;
+        } else if( p.x > bounds.max.x ) {
+            code |= 2;
+        }
+        if( p.y < bounds.min.y ) {
+            code |= 4;
+        } else if( p.y > bounds.max.y ) {
+            code |= 8;
+        }
+
+        return code;
+    }
+};
+
+}());
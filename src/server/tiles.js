@@ -0,0 +1,177 @@
+/**
+ *  @overview Serves the cuts of a quad tree as spherical Mercator map tiles,
+ *      e.g. from a Node HTTP server. Only part of the headless builds.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+var shiftBounds = L.QuadCluster.Util.shiftBounds;
+var projectMercator = L.QuadCluster.Util.projectMercator;
+var tileBounds = L.QuadCluster.Util.tileBounds;
+
+// Matches the end of tile URLs, e.g. /clusters/3/4/2 or /3/4/2.json?v=1
+var TILE_URL = /\/(\d+)\/(\d+)\/(\d+)(?:\.json)?(?:\?.*)?$/;
+
+var defaults = {
+    // Same meaning and defaults as the MarkerClusterGroup options, so that
+    // tiles are clustered the same way as on the client.
+    maxClusterSize: 160,
+    clusterMinimum: 10,
+    singlesOnZoom: 14,
+    useGravityCenter: true,
+
+    // Highest zoom level served by tileHandler. Requests for tiles above it
+    // are answered with 400.
+    maxZoom: 22,
+
+    // Returns the properties of the feature for a point shown on its own.
+    properties: function() {
+        return {};
+    },
+
+    // Extra HTTP headers of the responses, e.g. for CORS
+    headers: {}
+};
+
+function pointFeature(lat, lng, properties) {
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: {
+            type: 'Point',
+            coordinates: [ lng, lat ]
+        }
+    };
+}
+
+/*
+ *  Adds the points of `node` that lie within `bounds` to `features`.
+ */
+function addPoints(node, bounds, offset, options, features) {
+    var points = node.getPoints();
+    var lat, lng;
+
+    for( var i = 0; i < points.length; i++ ) {
+        lat = node.latAcc(points[i]);
+        lng = node.lngAcc(points[i]) + offset;
+
+        if( ! bounds || (lat >= bounds.getSouth() && lat < bounds.getNorth() &&
+                         lng >= bounds.getWest() && lng < bounds.getEast()) ) {
+            features.push(pointFeature(lat, lng, options.properties(points[i])));
+        }
+    }
+}
+
+/*
+ *  Returns the cut of `tree` for the map tile at `zoom`, `x` and `y` as a
+ *  GeoJSON FeatureCollection. Clusters are Point features like those of
+ *  MarkerCluster.toGeoJSON, with the bounds of their node in `bbox`. Points
+ *  shown on their own are Point features with the properties returned by
+ *  `options.properties`.
+ *
+ *  Every node of the cut is in the tile containing its center, so each
+ *  cluster and point is in exactly one tile. See `defaults` for the options.
+ */
+L.QuadCluster.tileCut = function(tree, zoom, x, y, options) {
+    options = L.extend({}, defaults, options);
+
+    var bounds = tileBounds(zoom, x, y);
+    var offsets = tree.worldOffsets(bounds);
+    var project = projectMercator(zoom);
+    var features = [];
+    var i, k, cut, node, center, nodeBounds, properties;
+
+    for( k = 0; k < offsets.length; k++ ) {
+        if( zoom >= options.singlesOnZoom ) {
+            cut = tree.cutLeaves(shiftBounds(bounds, -offsets[k]));
+
+            for( i = 0; i < cut.length; i++ ) {
+                addPoints(cut[i], bounds, offsets[k], options, features);
+            }
+            continue;
+        }
+
+        cut = tree.cutTile(shiftBounds(bounds, -offsets[k]),
+                           options.maxClusterSize, project);
+
+        for( i = 0; i < cut.length; i++ ) {
+            node = cut[i];
+
+            if( node.mass < options.clusterMinimum ) {
+                addPoints(node, null, offsets[k], options, features);
+                continue;
+            }
+
+            center = options.useGravityCenter ? node.center :
+                                                node.bounds.getCenter();
+            nodeBounds = shiftBounds(node.bounds, offsets[k]);
+            properties = L.extend({}, node.states, {
+                cluster: true,
+                point_count: node.mass
+            });
+
+            features.push(L.extend(
+                pointFeature(center.lat, center.lng + offsets[k], properties), {
+                    bbox: [ nodeBounds.getWest(), nodeBounds.getSouth(),
+                            nodeBounds.getEast(), nodeBounds.getNorth() ]
+                }));
+        }
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features
+    };
+};
+
+/*
+ *  Returns a request handler for Node's `http` module (or Connect and
+ *  Express) that answers requests ending in /{z}/{x}/{y} with the tile cut
+ *  of `tree` as JSON, up to the `maxZoom` option. Other requests are passed
+ *  on to `next` if given, and answered with 404 otherwise. The options are
+ *  those of `tileCut`.
+ */
+L.QuadCluster.tileHandler = function(tree, options) {
+    options = L.extend({}, defaults, options);
+
+    return function(req, res, next) {
+        var match = TILE_URL.exec(req.url);
+        var zoom, x, y, body;
+
+        if( match ) {
+            zoom = parseInt(match[1], 10);
+            x = parseInt(match[2], 10);
+            y = parseInt(match[3], 10);
+        }
+
+        if( ! match || x >= Math.pow(2, zoom) || y >= Math.pow(2, zoom) ) {
+            if( next ) {
+                next();
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+            return;
+        }
+
+        if( zoom > options.maxZoom ) {
+            res.writeHead(400, L.extend({
+                'Content-Type': 'text/plain'
+            }, options.headers));
+            res.end('Zoom level above ' + options.maxZoom);
+            return;
+        }
+
+        body = JSON.stringify(L.QuadCluster.tileCut(tree, zoom, x, y, options));
+
+        res.writeHead(200, L.extend({
+            'Content-Type': 'application/json'
+        }, options.headers));
+        res.end(body);
+    };
+};
+
+}());
@@ -156,4 +156,33 @@ L.QuadCluster.Aggregate = function () {
     return _factory;
 };
 
+/*
+ *  Returns an aggregate factory that counts the active points of each node by
+ *  category. `category` takes a point and returns its category.
+ *
+ *  The state is an object mapping each category to its number of points.
+ */
+L.QuadCluster.Aggregate.categories = function(category) {
+    return L.QuadCluster.Aggregate()
+        .init(function() {
+            return {};
+        }).accumulate(function(state, node) {
+            var points = node.activePoints;
+            var key;
+
+            for( var i = 0; i < points.length; i++ ) {
+                key = category(points[i]);
+                state[key] = (state[key] || 0) + 1;
+            }
+
+            return state;
+        }).merge(function(state, oState) {
+            for( var key in oState ) {
+                state[key] = (state[key] || 0) + oState[key];
+            }
+
+            return state;
+        });
+};
+
 }());
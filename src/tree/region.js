@@ -0,0 +1,331 @@
+/**
+ *  @overview Spatial regions used to filter quad trees by location.
+ *  @author Christopher Dudley <chris@terainsights.com>
+ *  @copyright Tera Insights, LLC 2014
+ */
+
+/* global L:true */
+
+(function() {
+
+var EARTH_RADIUS = L.QuadCluster.Util.EARTH_RADIUS;
+var projectDegrees = L.QuadCluster.Util.projectDegrees;
+
+/*
+ *  A region is an object with the following methods:
+ *
+ *  contains(latLng) - Returns true if the location lies in the region.
+ *
+ *  within(bounds) - Returns true if the L.LatLngBounds lie entirely inside
+ *      the region, false if they lie entirely outside of it and null if
+ *      unsure. This is used to accept or reject whole subtrees at once.
+ *
+ *  getBounds() - Returns the L.LatLngBounds of the region.
+ *
+ *  The built-in regions also have a toJSON() method, returning a plain
+ *  description of the region that L.QuadCluster.Region.from turns back into
+ *  a region. This is how regions are sent to Web Workers.
+ */
+
+/**
+ *  Region covering a bounding box.
+ *  @constructor
+ */
+function BoundsRegion(bounds) {
+    this.bounds = L.latLngBounds(bounds);
+}
+
+BoundsRegion.prototype.contains = function(latLng) {
+    return this.bounds.contains(latLng);
+};
+
+BoundsRegion.prototype.within = function(bounds) {
+    if( this.bounds.contains(bounds) ) {
+        return true;
+    }
+
+    return this.bounds.intersects(bounds) ? null : false;
+};
+
+BoundsRegion.prototype.getBounds = function() {
+    return this.bounds;
+};
+
+BoundsRegion.prototype.toJSON = function() {
+    return {
+        type: 'bounds',
+        bounds: [ [ this.bounds.getSouth(), this.bounds.getWest() ],
+                  [ this.bounds.getNorth(), this.bounds.getEast() ] ]
+    };
+};
+
+/**
+ *  Region covering all locations within `radius` meters (great-circle
+ *  distance) of `center`.
+ *  @constructor
+ */
+function CircleRegion(center, radius) {
+    this.center = L.latLng(center);
+    this.radius = radius;
+
+    // Angular radius, in degrees
+    var dist = radius / EARTH_RADIUS;
+    var dLat = dist * 180 / Math.PI;
+    var lat = this.center.lat;
+    var dLng = 180;
+
+    if( Math.abs(lat) + dLat < 90 ) {
+        dLng = Math.asin(Math.min(Math.sin(dist) /
+                                  Math.cos(lat * Math.PI / 180), 1));
+        dLng = dLng * 180 / Math.PI;
+    }
+
+    this.bounds = L.latLngBounds(
+        [ Math.max(lat - dLat, -90), this.center.lng - dLng ],
+        [ Math.min(lat + dLat, 90), this.center.lng + dLng ]);
+}
+
+CircleRegion.prototype.contains = function(latLng) {
+    return this.center.distanceTo(latLng) <= this.radius;
+};
+
+CircleRegion.prototype.within = function(bounds) {
+    var south = Math.max(bounds.getSouth(), -90);
+    var north = Math.min(bounds.getNorth(), 90);
+    var west = bounds.getWest();
+    var east = bounds.getEast();
+
+    // Distances are the same in every world copy, so longitudes are compared
+    // modulo 360.
+    if( south > this.bounds.getNorth() || north < this.bounds.getSouth() ||
+        ! overlapsLng(west, east,
+                      this.bounds.getWest(), this.bounds.getEast()) ) {
+        return false;
+    }
+
+    // The distance from the center only grows towards the opposite meridian,
+    // so unless the bounds contain it the furthest point is a corner.
+    if( wrapDegrees(this.center.lng + 180 - west) >= east - west &&
+        this.contains(L.latLng(south, west)) &&
+        this.contains(L.latLng(north, west)) &&
+        this.contains(L.latLng(north, east)) &&
+        this.contains(L.latLng(south, east)) ) {
+        return true;
+    }
+
+    return null;
+};
+
+CircleRegion.prototype.getBounds = function() {
+    return this.bounds;
+};
+
+CircleRegion.prototype.toJSON = function() {
+    return {
+        type: 'circle',
+        center: [ this.center.lat, this.center.lng ],
+        radius: this.radius
+    };
+};
+
+/**
+ *  Region covering a polygon, with an outer ring and any number of holes.
+ *  Edges are straight lines in latitude/longitude.
+ *  @constructor
+ *
+ *  @param {Array.<Array.<L.LatLng>>} rings - The outer ring followed by the
+ *      holes.
+ */
+function PolygonRegion(rings) {
+    var i, j, ring;
+
+    // Rings are stored as L.Points with x = longitude and y = latitude, so that
+    // L.LineUtil can be used on them.
+    this.rings = [];
+
+    for( i = 0; i < rings.length; i++ ) {
+        ring = [];
+        for( j = 0; j < rings[i].length; j++ ) {
+            ring.push(projectDegrees(L.latLng(rings[i][j])));
+        }
+        this.rings.push(ring);
+    }
+
+    this.bounds = L.latLngBounds(rings[0]);
+}
+
+PolygonRegion.prototype.contains = function(latLng) {
+    var x = latLng.lng;
+    var y = latLng.lat;
+    var inside = false;
+    var i, j, k, ring, a, b;
+
+    // Even-odd rule over all rings, which excludes the holes.
+    for( k = 0; k < this.rings.length; k++ ) {
+        ring = this.rings[k];
+
+        for( i = 0, j = ring.length - 1; i < ring.length; j = i++ ) {
+            a = ring[i];
+            b = ring[j];
+
+            if( (a.y > y) !== (b.y > y) &&
+                x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x ) {
+                inside = ! inside;
+            }
+        }
+    }
+
+    return inside;
+};
+
+PolygonRegion.prototype.within = function(bounds) {
+    if( ! this.bounds.intersects(bounds) ) {
+        return false;
+    }
+
+    var box = L.bounds(projectDegrees(bounds.getSouthWest()),
+                       projectDegrees(bounds.getNorthEast()));
+    var i, j, k, ring;
+
+    for( k = 0; k < this.rings.length; k++ ) {
+        ring = this.rings[k];
+
+        for( i = 0, j = ring.length - 1; i < ring.length; j = i++ ) {
+            if( L.LineUtil.clipSegment(ring[j], ring[i], box) ) {
+                // An edge crosses the box
+                return null;
+            }
+        }
+    }
+
+    // No edges cross the box, so it is either entirely inside or entirely
+    // outside of the polygon.
+    return this.contains(bounds.getCenter());
+};
+
+PolygonRegion.prototype.getBounds = function() {
+    return this.bounds;
+};
+
+PolygonRegion.prototype.toJSON = function() {
+    var rings = [];
+    var i, j, ring;
+
+    for( i = 0; i < this.rings.length; i++ ) {
+        ring = [];
+        for( j = 0; j < this.rings[i].length; j++ ) {
+            ring.push([ this.rings[i][j].y, this.rings[i][j].x ]);
+        }
+        rings.push(ring);
+    }
+
+    return { type: 'polygon', rings: rings };
+};
+
+/*
+ *  Wraps a difference in longitude into [0, 360).
+ */
+function wrapDegrees(lng) {
+    return ((lng % 360) + 360) % 360;
+}
+
+/*
+ *  Returns true if two ranges of longitudes overlap in any world copy.
+ */
+function overlapsLng(west1, east1, west2, east2) {
+    if( east1 - west1 >= 360 || east2 - west2 >= 360 ) {
+        return true;
+    }
+
+    var offset = wrapDegrees(west2 - west1);
+
+    return offset <= east1 - west1 || offset + (east2 - west2) >= 360;
+}
+
+/*
+ *  Returns true if `latlngs` is a list of rings rather than a single ring.
+ */
+function isRingList(latlngs) {
+    return L.Util.isArray(latlngs[0]) && typeof latlngs[0][0] !== 'number';
+}
+
+L.QuadCluster.Region = {
+    /*
+     *  Creates a region covering the given L.LatLngBounds.
+     */
+    bounds: function(bounds) {
+        return new BoundsRegion(bounds);
+    },
+
+    /*
+     *  Creates a region covering the locations within `radius` meters of
+     *  `center`.
+     */
+    circle: function(center, radius) {
+        return new CircleRegion(center, radius);
+    },
+
+    /*
+     *  Creates a region covering a polygon. `latlngs` is either a single ring,
+     *  or a list of rings where the first one is the outer ring and the rest
+     *  are holes.
+     */
+    polygon: function(latlngs) {
+        return new PolygonRegion(isRingList(latlngs) ? latlngs : [ latlngs ]);
+    },
+
+    /*
+     *  Converts the given object to a region. Accepts regions, L.Circle and
+     *  L.Polygon (including L.Rectangle) layers, L.LatLngBounds,
+     *  arrays of latitude/longitude pairs (as polygons) and the descriptions
+     *  returned by the toJSON() method of regions.
+     */
+    from: function(obj) {
+        var latlngs;
+
+        // Layers are only available when running alongside Leaflet.
+        if( L.Circle && obj instanceof L.Circle ) {
+            return new CircleRegion(obj.getLatLng(), obj.getRadius());
+        }
+
+        if( L.Polygon && obj instanceof L.Polygon ) {
+            latlngs = obj.getLatLngs();
+
+            if( isRingList(latlngs) ) {
+                return new PolygonRegion(latlngs);
+            }
+
+            // Leaflet 0.7 keeps the holes separately.
+            return new PolygonRegion([ latlngs ].concat(obj._holes || []));
+        }
+
+        if( obj instanceof L.LatLngBounds ) {
+            return new BoundsRegion(obj);
+        }
+
+        if( L.Util.isArray(obj) ) {
+            return L.QuadCluster.Region.polygon(obj);
+        }
+
+        if( obj && obj.type === 'bounds' ) {
+            return new BoundsRegion(obj.bounds);
+        }
+
+        if( obj && obj.type === 'circle' ) {
+            return new CircleRegion(obj.center, obj.radius);
+        }
+
+        if( obj && obj.type === 'polygon' ) {
+            return new PolygonRegion(obj.rings);
+        }
+
+        if( obj && typeof obj.contains === 'function' &&
+            typeof obj.within === 'function' ) {
+            return obj;
+        }
+
+        throw new Error('Unsupported region');
+    }
+};
+
+}());
@@ -9,6 +9,11 @@
 
 (function() {
 
+var EARTH_RADIUS = L.QuadCluster.Util.EARTH_RADIUS;
+var projectDegrees = L.QuadCluster.Util.projectDegrees;
+var shiftBounds = L.QuadCluster.Util.shiftBounds;
+var wrapLng = L.QuadCluster.Util.wrapLng;
+
 /**
  *  Creates a new QuadTreeNode.
  *  @constructor
@@ -19,14 +24,25 @@
  *  @param {function} lngAcc - The longitude accessor for points.
  *  @param {number} epsilon - The difference in latitude/longitude at which
  *      points are considered to be in the same location.
+ *  @param {Object.<string, TreeAggregate>} aggregates - The aggregates
+ *      maintained for each node, shared by all nodes of the tree.
+ *  @param {?Object} index - Index from point IDs to the leaves containing
+ *      them, shared by all nodes of the tree. Has an `id` accessor and a
+ *      `leaves` object. Null if points are not indexed.
+ *  @param {Object.<string, function>} filters - The named filters applied to
+ *      the points, shared by all nodes of the tree.
  *  @param {*=} point - A point contained in this node.
  */
-function QuadTreeNode(parent, bounds, latAcc, lngAcc, epsilon, point) {
+function QuadTreeNode(parent, bounds, latAcc, lngAcc, epsilon, aggregates, index,
+                      filters, point) {
     this.bounds = bounds;
     this.parent = parent;
     this.latAcc = latAcc;
     this.lngAcc = lngAcc;
     this.epsilon = epsilon;
+    this.aggregates = aggregates;
+    this.index = index;
+    this.filters = filters;
     this.active = true;
     this.leaf = true;
 
@@ -35,11 +51,17 @@ function QuadTreeNode(parent, bounds, latAcc, lngAcc, epsilon, point) {
     this.points = [];
     this.activePoints = [];
 
+    // For each point, the names of the filters rejecting it, or null if the
+    // point is active.
+    this.rejects = [];
+
+    // Number of points in the subtree rejected by each filter
+    this.rejected = {};
+
     if( point ) {
-        this.points.push(point);
-        this.activePoints.push(point);
         this.lat = latAcc(point);
         this.lng = lngAcc(point);
+        this.placePoint(point);
     }
 
     this.computeGravityCenter();
@@ -81,7 +103,8 @@ QuadTreeNode.prototype.addToChild = function(point, lat, lng) {
         var bounds = L.latLngBounds([sLat, sLng], [eLat, eLng]);
         this.nodes[index] = new QuadTreeNode(this, bounds,
                                              this.latAcc, this.lngAcc,
-                                             this.epsilon, point);
+                                             this.epsilon, this.aggregates,
+                                             this.index, this.filters, point);
     } else {
         this.nodes[index].add(point);
     }
@@ -108,6 +131,7 @@ QuadTreeNode.prototype.convertToInternal = function() {
 
     this.points = [];
     this.activePoints = [];
+    this.rejects = [];
     this.lat = null;
     this.lng = null;
 
@@ -128,10 +152,9 @@ QuadTreeNode.prototype.add = function(point) {
 
     if( this.points.length === 0 ) {
         // Just add the point and be done
-        this.points.push(point);
-        this.activePoints.push(point);
         this.lat = lat;
         this.lng = lng;
+        this.placePoint(point);
         return this;
     }
 
@@ -140,8 +163,7 @@ QuadTreeNode.prototype.add = function(point) {
 
     if( dlat < this.epsilon && dlng < this.epsilon ) {
         // Point is essentially on the same place. Just add to list of points.
-        this.points.push(point);
-        this.activePoints.push(point);
+        this.placePoint(point);
     } else {
         // Convert this point to an internal point, then add the point to a
         // child.
@@ -152,6 +174,219 @@ QuadTreeNode.prototype.add = function(point) {
     return this;
 };
 
+/*
+ *  Places the given point in this leaf. The point is run through the tree's
+ *  filters and only becomes active if all of them accept it. The leaf is
+ *  indexed as the one containing the point, if the tree indexes its points,
+ *  and the branch is marked dirty so that its gravity centers get updated.
+ */
+QuadTreeNode.prototype.placePoint = function(point) {
+    var rejects = null;
+
+    for( var name in this.filters ) {
+        if( ! this.filters[name](point) ) {
+            rejects = rejects || {};
+            rejects[name] = true;
+        }
+    }
+
+    this.points.push(point);
+    this.rejects.push(rejects);
+
+    if( ! rejects ) {
+        this.activePoints.push(point);
+    }
+
+    if( this.index ) {
+        this.index.leaves[this.index.id(point)] = this;
+    }
+
+    this.markDirty();
+};
+
+/*
+ *  Returns the index of the child quadrant that contains the given location.
+ */
+QuadTreeNode.prototype.childIndex = function(lat, lng) {
+    var cLat = (this.bounds.getSouth() + this.bounds.getNorth()) * 0.5;
+    var cLng = (this.bounds.getWest() + this.bounds.getEast()) * 0.5;
+
+    return (lat > cLat ? 2 : 0) + (lng > cLng ? 1 : 0);
+};
+
+/*
+ *  Finds the leaf containing the given point by descending towards the given
+ *  location. Returns null if the point is not found along that path.
+ */
+QuadTreeNode.prototype.findLeaf = function(point, lat, lng) {
+    var node = this;
+
+    while( node && ! node.leaf ) {
+        node = node.nodes[node.childIndex(lat, lng)];
+    }
+
+    if( node && node.points.indexOf(point) >= 0 ) {
+        return node;
+    }
+
+    return null;
+};
+
+/*
+ *  Finds the leaf containing the given point by searching the entire subtree.
+ *  Used when the location of the point at insertion time is not known.
+ */
+QuadTreeNode.prototype.searchLeaf = function(point) {
+    if( this.leaf ) {
+        return this.points.indexOf(point) >= 0 ? this : null;
+    }
+
+    var found = null;
+    for( var i = 0; i < this.nodes.length && ! found; i++ ) {
+        if( this.nodes[i] ) {
+            found = this.nodes[i].searchLeaf(point);
+        }
+    }
+
+    return found;
+};
+
+/*
+ *  Removes the given point from this leaf node. The gravity centers are not
+ *  updated; the node is instead marked dirty so that a later call to `update`
+ *  on an ancestor can fix up the affected branch.
+ *
+ *  Returns true if the point was contained by the node.
+ */
+QuadTreeNode.prototype.removePoint = function(point) {
+    var index = this.points.indexOf(point);
+    if( index < 0 ) {
+        return false;
+    }
+
+    this.points.splice(index, 1);
+    this.rejects.splice(index, 1);
+
+    index = this.activePoints.indexOf(point);
+    if( index >= 0 ) {
+        this.activePoints.splice(index, 1);
+    }
+
+    if( this.index ) {
+        delete this.index.leaves[this.index.id(point)];
+    }
+
+    this.markDirty();
+
+    return true;
+};
+
+/*
+ *  Marks this node and all of its ancestors as needing an update.
+ */
+QuadTreeNode.prototype.markDirty = function() {
+    var node = this;
+
+    while( node && ! node.dirty ) {
+        node.dirty = true;
+        node = node.parent;
+    }
+
+    return this;
+};
+
+/*
+ *  Converts an internal node back into a leaf, taking over the points of
+ *  the given child leaf.
+ */
+QuadTreeNode.prototype.convertToLeaf = function(child) {
+    if( this.leaf ) {
+        throw new Error('Node is already a leaf');
+    }
+
+    this.leaf = true;
+    this.nodes = [];
+
+    if( child ) {
+        this.points = child.points;
+        this.activePoints = child.activePoints;
+        this.rejects = child.rejects;
+        this.lat = child.lat;
+        this.lng = child.lng;
+        child.parent = null;
+        child.marker = null;
+
+        if( this.index ) {
+            for( var i = 0; i < this.points.length; i++ ) {
+                this.index.leaves[this.index.id(this.points[i])] = this;
+            }
+        }
+    } else {
+        this.points = [];
+        this.activePoints = [];
+        this.rejects = [];
+        this.lat = null;
+        this.lng = null;
+    }
+
+    return this;
+};
+
+/*
+ *  Brings all dirty nodes in this subtree up to date. Empty children are
+ *  pruned, internal nodes left with a single leaf child are collapsed back into
+ *  leaves, and the gravity centers of the dirty nodes are recomputed. Cached
+ *  cluster markers of the dirty nodes are dropped, as they no longer reflect
+ *  the contents of the node.
+ *
+ *  Clean subtrees are not visited.
+ */
+QuadTreeNode.prototype.update = function() {
+    if( ! this.dirty ) {
+        return this;
+    }
+
+    var i, child, remaining = null, count = 0;
+
+    if( ! this.leaf ) {
+        for( i = 0; i < this.nodes.length; i++ ) {
+            child = this.nodes[i];
+            if( ! child ) {
+                continue;
+            }
+
+            child.update();
+
+            if( child.leaf && child.points.length === 0 ) {
+                // Nothing left in the child, prune it.
+                child.parent = null;
+                child.marker = null;
+                this.nodes[i] = undefined;
+                continue;
+            }
+
+            remaining = child;
+            count += 1;
+        }
+
+        if( count === 0 ) {
+            this.convertToLeaf(null);
+        } else if( count === 1 && remaining.leaf ) {
+            // Only one location left, no reason to keep the child around.
+            this.convertToLeaf(remaining);
+        }
+    } else if( this.points.length === 0 ) {
+        this.lat = null;
+        this.lng = null;
+    }
+
+    this.computeGravityCenter(false);
+    this.marker = null;
+    this.dirty = false;
+
+    return this;
+};
+
 /*
  *  Computes the gravity center and active state of the node. If computeChild
  *  is truthy, the gravity center for child nodes will be updated before the
@@ -212,6 +447,75 @@ QuadTreeNode.prototype.computeGravityCenter = function(computeChild) {
     this.mass = tPoints;
     this.active = tPoints > 0;
 
+    this.computeRejected();
+    this.computeAggregates();
+
+    return this;
+};
+
+/*
+ *  Counts the points of the node rejected by each filter. Leaves count their
+ *  own points, internal nodes sum up the counts of their children.
+ */
+QuadTreeNode.prototype.computeRejected = function() {
+    var rejected = {};
+    var name, i, counts;
+
+    if( this.leaf ) {
+        for( i = 0; i < this.rejects.length; i++ ) {
+            for( name in this.rejects[i] ) {
+                rejected[name] = (rejected[name] || 0) + 1;
+            }
+        }
+    } else {
+        for( i = 0; i < this.nodes.length; i++ ) {
+            counts = this.nodes[i] ? this.nodes[i].rejected : null;
+            for( name in counts ) {
+                rejected[name] = (rejected[name] || 0) + counts[name];
+            }
+        }
+    }
+
+    this.rejected = rejected;
+
+    return this;
+};
+
+/*
+ *  Computes the state of each of the tree's aggregates for this node from the
+ *  states of its children. The states are stored by name in `states`.
+ *
+ *  Only active points and children are included. The state for a node that is
+ *  inactive or skipped by the aggregate's filter is null.
+ */
+QuadTreeNode.prototype.computeAggregates = function() {
+    var aggregates = this.aggregates;
+    var states = {};
+    var name, agg, state, child, i;
+
+    for( name in aggregates ) {
+        agg = aggregates[name];
+        state = null;
+
+        if( this.active && ! agg.filter(this) ) {
+            state = agg.initialize();
+            state = agg.accumulate(state, this);
+
+            for( i = 0; i < this.nodes.length; i++ ) {
+                child = this.nodes[i];
+                if( child && child.active && child.states[name] !== null ) {
+                    state = agg.merge(state, child.states[name], i);
+                }
+            }
+
+            state = agg.finalize(state, this);
+        }
+
+        states[name] = state;
+    }
+
+    this.states = states;
+
     return this;
 };
 
@@ -241,24 +545,71 @@ QuadTreeNode.prototype.getPoints = function(storage) {
 };
 
 /*
- *  Computes the new set of active points using the given filtration
- *  function.
+ *  Applies the filter with the given name to the points of this subtree. A
+ *  null filterFunc removes the filter, in which case subtrees without points
+ *  rejected by it are skipped.
  *
  *  The filterFunc should take as an argument a point and return true if the
- *  point should be in the active set.
+ *  point should be in the active set. Leaves whose active points changed are
+ *  marked dirty, the gravity centers are not updated.
+ *
+ *  If the filterFunc has a `within` method, it is called with the bounds of
+ *  each node before its points are tested. It should return true if all
+ *  points within the bounds are accepted, false if all of them are rejected
+ *  and null if they need to be tested one by one.
  */
-QuadTreeNode.prototype.filter = function(filterFunc) {
-    if( this.leaf ) {
-        this.activePoints = this.points.filter(filterFunc);
-        this.computeGravityCenter(false);
-    } else {
-        for( var i = 0; i < this.nodes.length; i++ ) {
-            if( this.nodes[i] ) {
-                this.nodes[i].filter(filterFunc);
+QuadTreeNode.prototype.applyFilter = function(name, filterFunc) {
+    var changed = false;
+    var within = filterFunc && filterFunc.within ?
+        filterFunc.within(this.bounds) : null;
+    var i, child, rejects, rejected;
+
+    if( within === true ) {
+        filterFunc = null;
+    } else if( within === false ) {
+        filterFunc = rejectAll;
+    }
+
+    if( ! this.leaf ) {
+        for( i = 0; i < this.nodes.length; i++ ) {
+            child = this.nodes[i];
+            if( child && (filterFunc || child.rejected[name]) ) {
+                child.applyFilter(name, filterFunc);
             }
         }
-        this.computeGravityCenter(false);
+
+        return this;
+    }
+
+    for( i = 0; i < this.points.length; i++ ) {
+        rejects = this.rejects[i];
+        rejected = filterFunc ? ! filterFunc(this.points[i]) : false;
+
+        if( rejected === Boolean(rejects && rejects[name]) ) {
+            continue;
+        }
+
+        if( rejected ) {
+            rejects = rejects || {};
+            rejects[name] = true;
+        } else {
+            delete rejects[name];
+            rejects = isEmpty(rejects) ? null : rejects;
+        }
+
+        this.rejects[i] = rejects;
+        changed = true;
+    }
+
+    if( changed ) {
+        rejects = this.rejects;
+        this.activePoints = this.points.filter(function(d, i) {
+            return ! rejects[i];
+        });
+        this.markDirty();
     }
+
+    return this;
 };
 
 /*
@@ -292,97 +643,899 @@ QuadTreeNode.prototype.aggregate = function(agg) {
     return state;
 };
 
-/**
- *  Shallow interface on top of the QuadTreeNode
- *  @constructor
+function rejectAll() {
+    return false;
+}
+
+var SERIAL_VERSION = 1;
+
+// Flag in the child mask of serialized leaves
+var SERIAL_LEAF = 16;
+
+// Number of values per serialized node: bounds (south, west, north, east),
+// gravity center (lat, lng), mass and location of a leaf (lat, lng)
+var SERIAL_FIELDS = 9;
+
+/*
+ *  Encodes a serialized tree in binary form. The layout is:
+ *
+ *      Uint32 x 4  - version, node count, reference count, ids flag
+ *      Float64 x 2 - origin (NaN if the tree doesn't wrap), epsilon
+ *      Float64     - node values, SERIAL_FIELDS per node
+ *      Float64 (ids) or Uint32 (indexes) - point references
+ *      Uint32      - number of points of each node
+ *      Uint8       - child mask of each node
  */
-function QuadTree(bounds, latAcc, lngAcc, epsilon, points) {
-    this.root = new QuadTreeNode(null, bounds, latAcc, lngAcc, epsilon);
+function encodeSerialized(data) {
+    var nodeCount = data.masks.length;
+    var refCount = data.refs.length;
+    var refSize = data.ids ? 8 : 4;
+    var buffer = new ArrayBuffer(32 + nodeCount * SERIAL_FIELDS * 8 +
+                                 refCount * refSize + nodeCount * 5);
+    var offset = 32;
+    var i;
+
+    new Uint32Array(buffer, 0, 4).set([ data.version, nodeCount, refCount,
+                                        data.ids ? 1 : 0 ]);
+    new Float64Array(buffer, 16, 2).set([
+        data.origin === null ? NaN : data.origin, data.epsilon ]);
+
+    new Float64Array(buffer, offset, nodeCount * SERIAL_FIELDS).set(data.nodes);
+    offset += nodeCount * SERIAL_FIELDS * 8;
+
+    if( data.ids ) {
+        for( i = 0; i < refCount; i++ ) {
+            if( typeof data.refs[i] !== 'number' ) {
+                throw new Error('Binary serialization requires numeric IDs');
+            }
+        }
+        new Float64Array(buffer, offset, refCount).set(data.refs);
+    } else {
+        new Uint32Array(buffer, offset, refCount).set(data.refs);
+    }
+    offset += refCount * refSize;
 
-    for( var i = 0; i < points.length; i++ ) {
-        this.root.add(points[i]);
+    new Uint32Array(buffer, offset, nodeCount).set(data.counts);
+    offset += nodeCount * 4;
+
+    new Uint8Array(buffer, offset, nodeCount).set(data.masks);
+
+    return buffer;
+}
+
+/*
+ *  Decodes a binary serialized tree. The arrays of the result are views into
+ *  the buffer.
+ */
+function decodeSerialized(buffer) {
+    if( ArrayBuffer.isView(buffer) ) {
+        // Typed arrays (e.g. Node's Buffer) may not be aligned.
+        buffer = buffer.buffer.slice(buffer.byteOffset,
+                                     buffer.byteOffset + buffer.byteLength);
     }
 
-    this.root.computeGravityCenter(true);
+    var header = new Uint32Array(buffer, 0, 4);
+    var settings = new Float64Array(buffer, 16, 2);
+    var nodeCount = header[1];
+    var refCount = header[2];
+    var ids = header[3] === 1;
+    var offset = 32;
+    var data = {
+        version: header[0],
+        origin: isNaN(settings[0]) ? null : settings[0],
+        epsilon: settings[1],
+        ids: ids
+    };
+
+    data.nodes = new Float64Array(buffer, offset, nodeCount * SERIAL_FIELDS);
+    offset += nodeCount * SERIAL_FIELDS * 8;
+
+    data.refs = ids ? new Float64Array(buffer, offset, refCount) :
+                      new Uint32Array(buffer, offset, refCount);
+    offset += refCount * (ids ? 8 : 4);
+
+    data.counts = new Uint32Array(buffer, offset, nodeCount);
+    offset += nodeCount * 4;
+
+    data.masks = new Uint8Array(buffer, offset, nodeCount);
+
+    return data;
 }
 
 /*
- *  Adds a new point to the tree and recomputes the gravity centers.
+ *  Returns true if the object has no properties of its own.
  */
-QuadTree.prototype.add = function(point) {
-    this.root.add(point);
-    this.root.computeGravityCenter(true);
-};
+function isEmpty(obj) {
+    for( var key in obj ) {
+        if( obj.hasOwnProperty(key) ) {
+            return false;
+        }
+    }
+
+    return true;
+}
 
 /*
- *  Performs a filtration on the tree.
+ *  Returns the larger of the width and height of the given bounds once
+ *  projected. All four corners are projected, as the bounds may not stay
+ *  axis-aligned in the projection (e.g. polar projections).
  */
-QuadTree.prototype.filter = function(filterFunc) {
-    this.root.filter(filterFunc);
-};
+function projectedSize(bounds, project) {
+    var size = L.bounds([
+        project(bounds.getSouthWest()),
+        project(bounds.getNorthWest()),
+        project(bounds.getNorthEast()),
+        project(bounds.getSouthEast())
+    ]).getSize();
+
+    return Math.max(size.x, size.y);
+}
 
 /*
- *  Performs an aggregation on the tree. If there were no active nodes, then
- *  an empty state is returned.
+ *  Returns the active children of a node that are too small to be visited by
+ *  a cut, or null if none of them is large enough to be, in which case the
+ *  node itself is part of the cut. Projected sizes differ between siblings,
+ *  e.g. with latitude in Mercator, so a node can have both.
  */
-QuadTree.prototype.aggregate = function(agg) {
-    var ret = this.root.aggregate(agg);
+function smallChildren(node, tooSmall) {
+    var small = [];
+    var large = false;
+    var child;
+
+    for( var i = 0; i < node.nodes.length; i++ ) {
+        child = node.nodes[i];
+
+        if( child && child.active ) {
+            if( tooSmall(child) ) {
+                small.push(child);
+            } else {
+                large = true;
+            }
+        }
+    }
 
-    if( ret === null ) {
-        ret = agg.initialize();
+    return large ? small : null;
+}
+
+/*
+ *  Finds the longitude at which to cut a wrapping tree open: the middle of
+ *  the largest gap between points, so that points close to each other across
+ *  the antimeridian end up close to each other in the tree.
+ */
+function calculateOrigin(points, lngAcc) {
+    if( points.length === 0 ) {
+        return -180;
     }
 
-    return ret;
-};
+    var lngs = points.map(function(d) {
+        return wrapLng(lngAcc(d), -180);
+    }).sort(function(a, b) {
+        return a - b;
+    });
+
+    // Gap across the antimeridian
+    var last = lngs.length - 1;
+    var gap = lngs[0] + 360 - lngs[last];
+    var origin = lngs[last] + gap / 2;
+
+    for( var i = 0; i < last; i++ ) {
+        if( lngs[i + 1] - lngs[i] > gap ) {
+            gap = lngs[i + 1] - lngs[i];
+            origin = lngs[i] + gap / 2;
+        }
+    }
+
+    return wrapLng(origin, -180);
+}
 
 /*
- *  Returns a cut of the tree where all nodes within the cut have their gravity
- *  center within `bounds` and are at most `maxLng` wide.
+ *  Returns the bounds of the given points.
  */
-QuadTree.prototype.cut = function(bounds, maxLng) {
-    bounds = L.latLngBounds(bounds);
+function calculateBounds(points, latAcc, lngAcc) {
+    if( points.length === 0 ) {
+        return QuadTreeFactory.WORLD;
+    }
 
-    var agg = L.QuadCluster.Aggregate()
-        .filter(function(node) {
-            if( ! node.active ) {
-                // Node isn't active, skip it.
-                return true;
-            }
+    var south = Infinity;
+    var west = Infinity;
+    var north = -Infinity;
+    var east = -Infinity;
 
-            if( ! bounds.intersects(node.bounds) ) {
-                // Node isn't in field of view, skip.
-                return true;
-            }
+    var i, point, lat, lng;
 
-            if( ! node.parent ) {
-                // Always check root node if it is active and visible.
-                return false;
-            }
+    for( i = 0; i < points.length; i++ ) {
+        point = points[i];
+        lat = latAcc(point);
+        lng = lngAcc(point);
 
-            var diffLng = Math.abs(node.bounds.getEast() - node.bounds.getWest());
-            if( diffLng < (maxLng / 2) ) {
-                // Parent would be good enough.
-                return true;
-            }
+        south = Math.min(lat, south);
+        west = Math.min(lng, west);
 
-            // If not filtered out by this point, visit it.
-            return false;
-        }).init(function() {
-            return [];
-        }).merge(function(state, oState) {
-            for( var i = 0; i < oState.length; i++ ) {
-                state.push(oState[i]);
-            }
-            return state;
-        }).finalize(function(state, node) {
-            // If no children made the cut, then we are the furthest down
-            // node that is good enough.
-            if( state.length === 0 ) {
-                // Don't bother showing of the node center isn't in the
-                // field of view.
+        north = Math.max(lat, north);
+        east = Math.max(lng, east);
+    }
+
+    return L.latLngBounds([south, west], [north, east]);
+}
+
+/*
+ *  Extends the shorter side of `bounds` to make them square.
+ */
+function squarifyBounds(bounds) {
+    var lat1 = bounds.getSouth();
+    var lat2 = bounds.getNorth();
+    var lng1 = bounds.getWest();
+    var lng2 = bounds.getEast();
+
+    var dlat = lat2 - lat1;
+    var dlng = lng2 - lng1;
+
+    if( dlng > dlat ) {
+        lat2 = lat1 + dlng;
+    } else {
+        lng2 = lng1 + dlat;
+    }
+
+    return L.latLngBounds([lat1, lng1], [lat2, lng2]);
+}
+
+/*
+ *  Returns the longitude accessor for a tree cut open at `origin`.
+ */
+function wrappedLng(lngAcc, origin) {
+    if( origin === null ) {
+        return lngAcc;
+    }
+
+    return function(d) {
+        return wrapLng(lngAcc(d), origin);
+    };
+}
+
+/**
+ *  Shallow interface on top of the QuadTreeNode
+ *  @constructor
+ *
+ *  @param {function} lngAcc - Longitude accessor, before wrapping.
+ *  @param {?number} origin - If the tree wraps around the antimeridian, the
+ *      longitude at which it is cut open. All longitudes handled by the tree
+ *      then lie within [origin, origin + 360). Null if the tree doesn't wrap.
+ *  @param {Object.<string, TreeAggregate>=} aggregates - Named aggregates to
+ *      maintain for each node.
+ *  @param {function=} idAcc - Accessor for a unique ID of each point. If
+ *      given, the leaf containing each point is indexed by its ID.
+ */
+function QuadTree(bounds, latAcc, lngAcc, epsilon, points, origin, aggregates,
+                  idAcc) {
+    this.origin = (origin === undefined) ? null : origin;
+    this.lng = lngAcc;
+    this.aggregates = {};
+
+    // Whether the origin may move to the points added to the empty tree, set
+    // for wrapping trees whose bounds were not given.
+    this.floating = false;
+    this.index = idAcc ? { id: idAcc, leaves: {} } : null;
+    this.filters = {};
+
+    for( var name in aggregates ) {
+        this.aggregates[name] = createAggregate(aggregates[name]);
+    }
+
+    this.root = new QuadTreeNode(null, bounds, latAcc,
+                                 wrappedLng(lngAcc, this.origin), epsilon,
+                                 this.aggregates, this.index, this.filters);
+
+    for( var i = 0; i < points.length; i++ ) {
+        this.insert(points[i]);
+    }
+
+    this.root.update();
+}
+
+/*
+ *  Accepts either an aggregate or an aggregate factory from
+ *  L.QuadCluster.Aggregate() and returns the aggregate.
+ */
+function createAggregate(agg) {
+    return typeof agg === 'function' ? agg() : agg;
+}
+
+/*
+ *  Registers an aggregate to be maintained for every node of the tree under
+ *  the given name, replacing any aggregate with the same name. The states are
+ *  kept up to date as points are added, removed and filtered, and can be read
+ *  from `node.states[name]`.
+ */
+QuadTree.prototype.addAggregate = function(name, agg) {
+    this.aggregates[name] = createAggregate(agg);
+    this.root.computeGravityCenter(true);
+};
+
+/*
+ *  Stops maintaining the aggregate with the given name.
+ */
+QuadTree.prototype.removeAggregate = function(name) {
+    delete this.aggregates[name];
+    this.root.computeGravityCenter(true);
+};
+
+/*
+ *  Returns the state of a registered aggregate over all active points.
+ */
+QuadTree.prototype.getAggregate = function(name) {
+    var state = this.root.states[name];
+
+    if( state === null && this.aggregates[name] ) {
+        state = this.aggregates[name].initialize();
+    }
+
+    return state;
+};
+
+/*
+ *  Adds a new point to the tree and recomputes the gravity centers along its
+ *  branch.
+ */
+QuadTree.prototype.add = function(point) {
+    this.insert(point);
+    this.root.update();
+};
+
+/*
+ *  Adds a batch of points to the tree. The gravity centers of the branches
+ *  that received points are recomputed once, after all points are inserted.
+ */
+QuadTree.prototype.addAll = function(points) {
+    this._float(points);
+
+    for( var i = 0; i < points.length; i++ ) {
+        this.insert(points[i]);
+    }
+
+    this.root.update();
+};
+
+/*
+ *  Brings the gravity centers and aggregates of every branch changed by
+ *  `insert` up to date.
+ */
+QuadTree.prototype.update = function() {
+    this.root.update();
+};
+
+/*
+ *  Returns the leaf containing the given point, or null if the point is not in
+ *  the tree. Constant time if the tree indexes its points.
+ */
+QuadTree.prototype.getLeaf = function(point) {
+    if( this.index ) {
+        return this.index.leaves[this.index.id(point)] || null;
+    }
+
+    return this._findLeaf(point);
+};
+
+/*
+ *  Returns true if the point is in the tree.
+ */
+QuadTree.prototype.has = function(point) {
+    return this.getLeaf(point) !== null;
+};
+
+/*
+ *  Wraps a longitude into the range covered by the tree. Longitudes are
+ *  returned unchanged if the tree doesn't wrap.
+ */
+QuadTree.prototype.wrapLng = function(lng) {
+    return this.origin === null ? lng : wrapLng(lng, this.origin);
+};
+
+/*
+ *  Returns the longitude offsets (multiples of 360) of the world copies of the
+ *  tree that intersect `bounds`. A tree that doesn't wrap only has the single
+ *  copy at offset 0.
+ */
+QuadTree.prototype.worldOffsets = function(bounds) {
+    if( this.origin === null ) {
+        return [ 0 ];
+    }
+
+    bounds = L.latLngBounds(bounds);
+
+    var first = Math.floor((bounds.getWest() - this.origin) / 360);
+    var last = Math.floor((bounds.getEast() - this.origin) / 360);
+    var offsets = [];
+
+    for( var i = first; i <= last; i++ ) {
+        offsets.push(i * 360);
+    }
+
+    return offsets;
+};
+
+/*
+ *  Removes all points from the tree, keeping the current bounds.
+ */
+QuadTree.prototype.clear = function() {
+    var root = this.root;
+
+    if( this.index ) {
+        this.index.leaves = {};
+    }
+
+    this.root = new QuadTreeNode(null, root.bounds, root.latAcc, root.lngAcc,
+                                 root.epsilon, this.aggregates, this.index,
+                                 this.filters);
+};
+
+/*
+ *  Inserts a point into the tree without updating the gravity centers,
+ *  growing the tree first if the point is outside of its bounds. Call `update`
+ *  once done inserting.
+ */
+QuadTree.prototype.insert = function(point) {
+    var root;
+
+    this._float([ point ]);
+    root = this.root;
+
+    this._grow(root.latAcc(point), root.lngAcc(point));
+    this.root.add(point);
+};
+
+/*
+ *  Cuts a floating tree that holds no points open at the largest gap between
+ *  the given points, about to be added, and fits its bounds to them as if the
+ *  tree was built from them. Without this, a tree created empty would stay cut
+ *  open at -180 and never merge points across the antimeridian.
+ */
+QuadTree.prototype._float = function(points) {
+    var root = this.root;
+    var origin, lngAcc;
+
+    if( ! this.floating || ! root.leaf || root.points.length > 0 ||
+        points.length === 0 ) {
+        return;
+    }
+
+    origin = calculateOrigin(points, this.lng);
+    lngAcc = wrappedLng(this.lng, origin);
+
+    this.root = new QuadTreeNode(null,
+                                 squarifyBounds(calculateBounds(points,
+                                                                root.latAcc,
+                                                                lngAcc)),
+                                 root.latAcc, lngAcc, root.epsilon,
+                                 this.aggregates, this.index, this.filters);
+    this.origin = origin;
+};
+
+/*
+ *  Grows the tree until its bounds contain the given location. Each step
+ *  wraps the current root in a new parent that doubles the extent towards
+ *  the location, with the old root as one of its quadrants.
+ *
+ *  Throws for non-finite coordinates, which no bounds could ever contain.
+ */
+QuadTree.prototype._grow = function(lat, lng) {
+    var root = this.root;
+    var bounds = root.bounds;
+    var latLng, south, west, size, index, parent;
+
+    if( ! isFinite(lat) || ! isFinite(lng) ) {
+        throw new Error('Invalid point location: (' + lat + ', ' + lng + ')');
+    }
+
+    latLng = L.latLng(lat, lng);
+
+    while( ! bounds.contains(latLng) ) {
+        south = bounds.getSouth();
+        west = bounds.getWest();
+        size = Math.max(bounds.getNorth() - south, bounds.getEast() - west);
+
+        if( size <= 0 ) {
+            // Degenerate bounds (e.g. a single point), start from the distance
+            // to the new location instead.
+            size = Math.max(Math.abs(lat - south), Math.abs(lng - west));
+        }
+
+        index = 0;
+
+        if( lat < south ) {
+            // Grow downwards, old root ends up in the top half
+            south -= size;
+            index += 2;
+        }
+
+        if( lng < west ) {
+            // Grow left, old root ends up in the right half
+            west -= size;
+            index += 1;
+        }
+
+        bounds = L.latLngBounds([south, west],
+                                [south + 2 * size, west + 2 * size]);
+
+        if( root.leaf ) {
+            // Leaves don't depend on their bounds for their contents, so
+            // they can simply be extended.
+            root.bounds = bounds;
+            root.marker = null;
+            continue;
+        }
+
+        parent = new QuadTreeNode(null, bounds, root.latAcc, root.lngAcc,
+                                  root.epsilon, this.aggregates, this.index,
+                                  this.filters);
+        parent.leaf = false;
+        parent.nodes[index] = root;
+        parent.dirty = root.dirty;
+        parent.computeGravityCenter(false);
+
+        root.parent = parent;
+        root = parent;
+    }
+
+    this.root = root;
+};
+
+/*
+ *  Removes a point from the tree, updating only the branch that contained it.
+ *
+ *  If the point has moved since it was inserted, `from` should give its
+ *  location at insertion as an object with `lat` and `lng` properties.
+ *
+ *  Returns true if the point was found in the tree.
+ */
+QuadTree.prototype.remove = function(point, from) {
+    var leaf = this._findLeaf(point, from);
+    var removed = leaf ? leaf.removePoint(point) : false;
+
+    this.root.update();
+
+    return removed;
+};
+
+/*
+ *  Removes a batch of points from the tree. Each branch touched by the removal
+ *  is only updated once.
+ *
+ *  `from` is an optional array with the location of each point at insertion.
+ *
+ *  Returns the number of points that were found in the tree.
+ */
+QuadTree.prototype.removeAll = function(points, from) {
+    var removed = 0;
+    var leaf;
+
+    for( var i = 0; i < points.length; i++ ) {
+        leaf = this._findLeaf(points[i], from && from[i]);
+        if( leaf && leaf.removePoint(points[i]) ) {
+            removed += 1;
+        }
+    }
+
+    this.root.update();
+
+    return removed;
+};
+
+/*
+ *  Moves a point that has changed location since it was inserted. `from`
+ *  gives the previous location of the point as an object with `lat` and `lng`
+ *  properties, and may be omitted if the tree indexes its points. The point
+ *  is run through the filters again at its new location.
+ *
+ *  Returns true if the point was found in the tree.
+ */
+QuadTree.prototype.move = function(point, from) {
+    return this.moveAll([ point ], [ from ]) > 0;
+};
+
+/*
+ *  Moves a batch of points to their current locations. `from` is an array
+ *  with the previous location of each point, and may be omitted if the tree
+ *  indexes its points. Only the branches that lost or
+ *  gained a point are updated, and each of them only once.
+ *
+ *  Returns the number of points that were found in the tree.
+ */
+QuadTree.prototype.moveAll = function(points, from) {
+    var moved = [];
+    var i, point, leaf;
+
+    for( i = 0; i < points.length; i++ ) {
+        point = points[i];
+        leaf = this._findLeaf(point, from && from[i]);
+
+        if( ! leaf ) {
+            continue;
+        }
+
+        moved.push(point);
+        leaf.removePoint(point);
+    }
+
+    for( i = 0; i < moved.length; i++ ) {
+        this.insert(moved[i]);
+    }
+
+    this.root.update();
+
+    return moved.length;
+};
+
+/*
+ *  Finds the leaf containing a point through the index, if any. Otherwise
+ *  descends towards its location at insertion if given, or its current
+ *  location.
+ */
+QuadTree.prototype._findLeaf = function(point, from) {
+    if( this.index ) {
+        return this.index.leaves[this.index.id(point)] || null;
+    }
+
+    var root = this.root;
+    var lat = from ? from.lat : root.latAcc(point);
+    var lng = from ? this.wrapLng(from.lng) : root.lngAcc(point);
+    var leaf = root.findLeaf(point, lat, lng);
+
+    if( ! leaf ) {
+        // The point may have moved since it was inserted.
+        leaf = root.searchLeaf(point);
+    }
+
+    return leaf;
+};
+
+/*
+ *  Sets the filter with the given name, replacing any filter with the same
+ *  name. Points are active if they are accepted by every filter.
+ *
+ *  Only the branches where the set of active points changed have their
+ *  gravity centers and aggregates recomputed.
+ */
+QuadTree.prototype.setFilter = function(name, filterFunc) {
+    if( ! filterFunc ) {
+        return this.clearFilter(name);
+    }
+
+    this.filters[name] = filterFunc;
+    this.root.applyFilter(name, filterFunc);
+    this.root.update();
+};
+
+/*
+ *  Removes the filter with the given name. Only the subtrees containing
+ *  points rejected by the filter are visited.
+ */
+QuadTree.prototype.clearFilter = function(name) {
+    if( ! this.filters.hasOwnProperty(name) ) {
+        return;
+    }
+
+    delete this.filters[name];
+    this.root.applyFilter(name, null);
+    this.root.update();
+};
+
+/*
+ *  Sets a filter with the given name that only accepts points inside a
+ *  region. The region can be anything accepted by L.QuadCluster.Region.from,
+ *  such as L.LatLngBounds or an L.Circle or L.Polygon layer.
+ *
+ *  Subtrees whose bounds are entirely inside or outside of the region are
+ *  accepted or rejected as a whole, without testing their points.
+ */
+QuadTree.prototype.setSpatialFilter = function(name, region) {
+    this.setFilter(name, this._regionFilter(region));
+};
+
+/*
+ *  Returns a filter function accepting the points inside the given region,
+ *  with a `within` method that tests node bounds against the region (see
+ *  QuadTreeNode.applyFilter).
+ */
+QuadTree.prototype._regionFilter = function(region) {
+    var latAcc = this.root.latAcc;
+    var lngAcc = this.root.lngAcc;
+
+    region = L.QuadCluster.Region.from(region);
+
+    // Longitudes in the tree may be wrapped, so test every world copy of the
+    // tree that overlaps the region.
+    var offsets = this.worldOffsets(region.getBounds());
+
+    var filterFunc = function(point) {
+        var lat = latAcc(point);
+        var lng = lngAcc(point);
+
+        for( var i = 0; i < offsets.length; i++ ) {
+            if( region.contains(L.latLng(lat, lng + offsets[i])) ) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    filterFunc.within = function(bounds) {
+        var ret = false;
+        var within;
+
+        for( var i = 0; i < offsets.length; i++ ) {
+            within = region.within(shiftBounds(bounds, offsets[i]));
+
+            if( within === true ) {
+                return true;
+            } else if( within === null ) {
+                ret = null;
+            }
+        }
+
+        return ret;
+    };
+
+    return filterFunc;
+};
+
+/*
+ *  Returns the names of the filters currently set.
+ */
+QuadTree.prototype.getFilters = function() {
+    return Object.keys(this.filters);
+};
+
+/*
+ *  Performs a filtration on the tree. This sets the filter named
+ *  `QuadTree.DEFAULT_FILTER`, so it is combined with the named filters.
+ */
+QuadTree.prototype.filter = function(filterFunc) {
+    this.setFilter(QuadTree.DEFAULT_FILTER, filterFunc);
+};
+
+QuadTree.DEFAULT_FILTER = 'default';
+
+/*
+ *  Performs an aggregation on the tree. If there were no active nodes, then
+ *  an empty state is returned.
+ */
+QuadTree.prototype.aggregate = function(agg) {
+    var ret = this.root.aggregate(agg);
+
+    if( ret === null ) {
+        ret = agg.initialize();
+    }
+
+    return ret;
+};
+
+/*
+ *  Returns a cut of the tree where all nodes within the cut have their gravity
+ *  center within `bounds` and are at most `maxSize` wide and high.
+ *
+ *  The size of the nodes is measured after projecting them with `project`,
+ *  which takes an L.LatLng and returns an L.Point (e.g. pixel coordinates
+ *  through a map's CRS). If not given, sizes are measured in degrees.
+ */
+QuadTree.prototype.cut = function(bounds, maxSize, project) {
+    bounds = L.latLngBounds(bounds);
+    project = project || projectDegrees;
+
+    function tooSmall(node) {
+        return projectedSize(node.bounds, project) < (maxSize / 2);
+    }
+
+    var agg = L.QuadCluster.Aggregate()
+        .filter(function(node) {
+            if( ! node.active ) {
+                // Node isn't active, skip it.
+                return true;
+            }
+
+            if( ! bounds.intersects(node.bounds) ) {
+                // Node isn't in field of view, skip.
+                return true;
+            }
+
+            if( ! node.parent ) {
+                // Always check root node if it is active and visible.
+                return false;
+            }
+
+            if( tooSmall(node) ) {
+                // Parent would be good enough.
+                return true;
+            }
+
+            // If not filtered out by this point, visit it.
+            return false;
+        }).init(function() {
+            return [];
+        }).merge(function(state, oState) {
+            for( var i = 0; i < oState.length; i++ ) {
+                state.push(oState[i]);
+            }
+            return state;
+        }).finalize(function(state, node) {
+            var nodes, i;
+
+            // If no children made the cut, then we are the furthest down
+            // node that is good enough.
+            if( state.length === 0 ) {
+                // Don't bother showing of the node center isn't in the
+                // field of view.
                 if( bounds.contains(node.center) ) {
                     state.push(node);
                 }
+
+                return state;
+            }
+
+            // Otherwise the children that were too small to be visited are
+            // part of the cut as well.
+            nodes = smallChildren(node, tooSmall) || [];
+
+            for( i = 0; i < nodes.length; i++ ) {
+                if( bounds.contains(nodes[i].center) ) {
+                    state.push(nodes[i]);
+                }
+            }
+
+            return state;
+        })();
+
+    return this.aggregate(agg);
+};
+
+/*
+ *  Returns the nodes of the cut of the whole tree (see `cut`) that have their
+ *  gravity center within `bounds`, including the south and west edges but not
+ *  the north and east ones.
+ *
+ *  Unlike with `cut`, whether a node is part of the cut doesn't depend on
+ *  `bounds`. The cuts of adjacent bounds, such as map tiles, thus fit together
+ *  without any node showing up twice.
+ */
+QuadTree.prototype.cutTile = function(bounds, maxSize, project) {
+    bounds = L.latLngBounds(bounds);
+    project = project || projectDegrees;
+
+    function tooSmall(node) {
+        return projectedSize(node.bounds, project) < (maxSize / 2);
+    }
+
+    function inTile(latLng) {
+        return latLng.lat >= bounds.getSouth() &&
+               latLng.lat < bounds.getNorth() &&
+               latLng.lng >= bounds.getWest() &&
+               latLng.lng < bounds.getEast();
+    }
+
+    var agg = L.QuadCluster.Aggregate()
+        .filter(function(node) {
+            if( ! node.active || ! bounds.intersects(node.bounds) ) {
+                return true;
+            }
+
+            // Same as for `cut`, the root is always visited.
+            return node.parent !== null && tooSmall(node);
+        }).init(function() {
+            return [];
+        }).merge(function(state, oState) {
+            for( var i = 0; i < oState.length; i++ ) {
+                state.push(oState[i]);
+            }
+            return state;
+        }).finalize(function(state, node) {
+            // The node is part of the cut unless one of its children is large
+            // enough to be visited, in which case its other children are.
+            var nodes = smallChildren(node, tooSmall) || [ node ];
+
+            for( var i = 0; i < nodes.length; i++ ) {
+                if( inTile(nodes[i].center) ) {
+                    state.push(nodes[i]);
+                }
             }
 
             return state;
@@ -391,6 +1544,506 @@ QuadTree.prototype.cut = function(bounds, maxLng) {
     return this.aggregate(agg);
 };
 
+/*
+ *  Returns the active points closest to `latLng`, measured by great-circle
+ *  distance in meters. At most `k` points are returned (1 by default, none
+ *  if `k` is 0 or less), as an array of objects with `point` and `distance`
+ *  properties ordered by increasing distance.
+ *
+ *  Options:
+ *      maxDistance - Only return points within this distance, in meters.
+ *
+ *  Nodes are visited in order of their distance to `latLng`, so that only
+ *  the nodes that may contain one of the closest points are visited.
+ */
+QuadTree.prototype.nearest = function(latLng, k, options) {
+    latLng = L.latLng(latLng);
+    k = k === undefined ? 1 : k;
+    options = options || {};
+
+    if( k <= 0 ) {
+        return [];
+    }
+
+    var maxDistance = options.maxDistance === undefined ?
+        Infinity : options.maxDistance;
+    var root = this.root;
+    var queue = [];
+    var ret = [];
+    var item, node, point, dist, i;
+
+    function enqueue(dist, node, point) {
+        if( dist <= maxDistance ) {
+            heapPush(queue, { distance: dist, node: node, point: point });
+        }
+    }
+
+    if( root.active ) {
+        enqueue(distanceToBounds(latLng, root.bounds), root);
+    }
+
+    while( queue.length > 0 && ret.length < k ) {
+        item = heapPop(queue);
+        node = item.node;
+
+        if( ! node ) {
+            // Points are only dequeued once nothing left is closer.
+            ret.push({ point: item.point, distance: item.distance });
+            continue;
+        }
+
+        if( node.leaf ) {
+            for( i = 0; i < node.activePoints.length; i++ ) {
+                point = node.activePoints[i];
+                dist = distance(latLng, root.latAcc(point), root.lngAcc(point));
+                enqueue(dist, null, point);
+            }
+        } else {
+            for( i = 0; i < node.nodes.length; i++ ) {
+                if( node.nodes[i] && node.nodes[i].active ) {
+                    dist = distanceToBounds(latLng, node.nodes[i].bounds);
+                    enqueue(dist, node.nodes[i]);
+                }
+            }
+        }
+    }
+
+    return ret;
+};
+
+/*
+ *  Returns the active points inside a region, which can be anything accepted
+ *  by L.QuadCluster.Region.from. The result is an object with the matching
+ *  `points` and, if `agg` is given, the aggregate `state` over them.
+ *
+ *  `agg` is either an aggregate (or aggregate factory), or the name of an
+ *  aggregate registered on the tree. The states of the matching subtrees are
+ *  merged into a new state.
+ *
+ *  Subtrees that lie entirely inside the region are taken as a whole, without
+ *  testing their points. For registered aggregates their maintained states
+ *  are used, so that they are not visited at all.
+ *
+ *  The matching points of leaves that are only partly inside the region are
+ *  accumulated through a detached leaf holding just them, then the states of
+ *  the subtrees are merged into its state. The state is finalized with a
+ *  leaf holding all the matching points.
+ */
+QuadTree.prototype.query = function(region, agg) {
+    var test = this._regionFilter(region);
+    var root = this.root;
+    var named = typeof agg === 'string';
+    var points = [];
+    var aggregate = named ? this.aggregates[agg] : createAggregate(agg);
+
+    // States of the subtrees inside the region, and the matching points of
+    // the leaves that are only partly inside of it
+    var states = [];
+    var loose = [];
+
+    if( agg && ! aggregate ) {
+        throw new Error('Unknown aggregate: ' + agg);
+    }
+
+    function addState(node) {
+        var nodeState;
+
+        if( ! aggregate ) {
+            return;
+        }
+
+        nodeState = named ? node.states[agg] : node.aggregate(aggregate);
+
+        if( nodeState !== null ) {
+            states.push(nodeState);
+        }
+    }
+
+    function visit(node) {
+        var within, matched, i;
+
+        if( ! node.active ) {
+            return;
+        }
+
+        within = test.within(node.bounds);
+
+        if( within === false ) {
+            return;
+        }
+
+        if( within === true ) {
+            node.getPoints(points);
+            addState(node);
+            return;
+        }
+
+        if( ! node.leaf ) {
+            for( i = 0; i < node.nodes.length; i++ ) {
+                if( node.nodes[i] ) {
+                    visit(node.nodes[i]);
+                }
+            }
+            return;
+        }
+
+        matched = node.activePoints.filter(test);
+
+        if( matched.length === node.activePoints.length ) {
+            addState(node);
+        } else {
+            loose.push.apply(loose, matched);
+        }
+
+        for( i = 0; i < matched.length; i++ ) {
+            points.push(matched[i]);
+        }
+    }
+
+    // A detached leaf holding the given points, so that aggregates see the
+    // same mass, bounds and center as for the leaves of the tree.
+    function leafOf(leafPoints) {
+        var leaf = new QuadTreeNode(null, root.bounds, root.latAcc,
+                                    root.lngAcc, root.epsilon, {}, null, {});
+
+        for( var i = 0; i < leafPoints.length; i++ ) {
+            leaf.placePoint(leafPoints[i]);
+        }
+
+        if( leafPoints.length > 0 ) {
+            leaf.bounds = L.latLngBounds(leafPoints.map(function(point) {
+                return [ root.latAcc(point), root.lngAcc(point) ];
+            }));
+        }
+
+        return leaf.computeGravityCenter();
+    }
+
+    function aggregateResult() {
+        var leaf = leafOf(loose);
+        var state = aggregate.initialize();
+
+        if( ! aggregate.filter(leaf) ) {
+            state = aggregate.accumulate(state, leaf);
+        }
+
+        for( var i = 0; i < states.length; i++ ) {
+            state = aggregate.merge(state, states[i]);
+        }
+
+        return aggregate.finalize(state, leafOf(points));
+    }
+
+    visit(this.root);
+
+    return aggregate ?
+        { points: points, state: aggregateResult() } :
+        { points: points };
+};
+
+/*
+ *  Returns the active points within `bounds`. See `query`.
+ */
+QuadTree.prototype.queryBounds = function(bounds, agg) {
+    return this.query(L.QuadCluster.Region.bounds(bounds), agg);
+};
+
+/*
+ *  Returns the active points within `radius` meters of `latLng`. See `query`.
+ */
+QuadTree.prototype.queryRadius = function(latLng, radius, agg) {
+    return this.query(L.QuadCluster.Region.circle(latLng, radius), agg);
+};
+
+/*
+ *  Serializes the structure of the tree, so that it can be rebuilt without
+ *  recomputing it through L.QuadCluster.Tree().fromSerialized. This includes
+ *  the bounds, mass and gravity center of every node and references to the
+ *  points of the leaves. The points themselves are not serialized.
+ *
+ *  Options:
+ *      points - If given, points are referenced by their index in this
+ *          array. Otherwise they are referenced by ID, which requires the
+ *          tree to have an ID accessor.
+ *      format - 'json' (default) for an object that can be passed to
+ *          JSON.stringify, or 'binary' for an ArrayBuffer. Binary
+ *          serializations by ID require numeric IDs.
+ *
+ *  Filters and aggregates are functions and can't be serialized, so the tree
+ *  must not have any points filtered out. Aggregates registered on the
+ *  factory are recomputed when the tree is rebuilt.
+ */
+QuadTree.prototype.serialize = function(options) {
+    options = options || {};
+
+    var points = options.points || null;
+    var index = this.index;
+    var positions = null;
+    var data, i;
+
+    this.root.update();
+
+    if( ! isEmpty(this.root.rejected) ) {
+        throw new Error('Clear the filters before serializing the tree');
+    }
+
+    if( ! points && ! index ) {
+        throw new Error('Points must be given to serialize a tree without IDs');
+    }
+
+    if( points && index ) {
+        positions = {};
+        for( i = 0; i < points.length; i++ ) {
+            positions[index.id(points[i])] = i;
+        }
+    }
+
+    function ref(point) {
+        var ret;
+
+        if( ! points ) {
+            return index.id(point);
+        }
+
+        ret = positions ? positions[index.id(point)] : points.indexOf(point);
+
+        if( ret === undefined || ret < 0 ) {
+            throw new Error('Point missing from the serialized points');
+        }
+
+        return ret;
+    }
+
+    data = {
+        version: SERIAL_VERSION,
+        origin: this.origin,
+        epsilon: this.root.epsilon,
+        ids: ! points,
+        nodes: [],
+        masks: [],
+        counts: [],
+        refs: []
+    };
+
+    // Nodes are written in pre-order, each with a mask of the children that
+    // follow it.
+    (function write(node) {
+        var bounds = node.bounds;
+        var mask = node.leaf ? SERIAL_LEAF : 0;
+        var i;
+
+        for( i = 0; i < 4; i++ ) {
+            if( node.nodes[i] ) {
+                mask |= 1 << i;
+            }
+        }
+
+        data.nodes.push(bounds.getSouth(), bounds.getWest(),
+                        bounds.getNorth(), bounds.getEast(),
+                        node.center.lat, node.center.lng, node.mass,
+                        node.leaf ? node.lat || 0 : 0,
+                        node.leaf ? node.lng || 0 : 0);
+        data.masks.push(mask);
+        data.counts.push(node.leaf ? node.points.length : 0);
+
+        if( node.leaf ) {
+            for( i = 0; i < node.points.length; i++ ) {
+                data.refs.push(ref(node.points[i]));
+            }
+        } else {
+            for( i = 0; i < 4; i++ ) {
+                if( node.nodes[i] ) {
+                    write(node.nodes[i]);
+                }
+            }
+        }
+    })(this.root);
+
+    return options.format === 'binary' ? encodeSerialized(data) : data;
+};
+
+/*
+ *  Replaces the contents of the tree with the nodes of a serialized tree.
+ *  `resolve` takes a point reference and returns the point.
+ */
+QuadTree.prototype._load = function(data, resolve) {
+    var tree = this;
+    var root = this.root;
+    var nodeIndex = 0;
+    var refIndex = 0;
+
+    if( this.index ) {
+        this.index.leaves = {};
+    }
+
+    function read(parent) {
+        var i = nodeIndex++;
+        var f = i * SERIAL_FIELDS;
+        var values = data.nodes;
+        var mask = data.masks[i];
+        var node, point, j;
+
+        node = new QuadTreeNode(parent,
+            L.latLngBounds([ values[f], values[f + 1] ],
+                           [ values[f + 2], values[f + 3] ]),
+            root.latAcc, root.lngAcc, root.epsilon, tree.aggregates,
+            tree.index, tree.filters);
+
+        if( mask & SERIAL_LEAF ) {
+            if( data.counts[i] > 0 ) {
+                node.lat = values[f + 7];
+                node.lng = values[f + 8];
+            }
+
+            for( j = 0; j < data.counts[i]; j++ ) {
+                point = resolve(data.refs[refIndex++]);
+                node.points.push(point);
+                node.activePoints.push(point);
+                node.rejects.push(null);
+
+                if( tree.index ) {
+                    tree.index.leaves[tree.index.id(point)] = node;
+                }
+            }
+        } else {
+            node.leaf = false;
+            for( j = 0; j < 4; j++ ) {
+                if( mask & (1 << j) ) {
+                    node.nodes[j] = read(node);
+                }
+            }
+        }
+
+        node.center = L.latLng(values[f + 4], values[f + 5]);
+        node.mass = values[f + 6];
+        node.active = node.mass > 0;
+        node.computeRejected();
+        node.computeAggregates();
+
+        return node;
+    }
+
+    this.root = read(null);
+
+    return this;
+};
+
+var RAD = Math.PI / 180;
+
+/*
+ *  Returns the great-circle distance in meters between `latLng` and the
+ *  given location.
+ */
+function distance(latLng, lat, lng) {
+    var sinLat = Math.sin((lat - latLng.lat) * RAD / 2);
+    var sinLng = Math.sin((lng - latLng.lng) * RAD / 2);
+    var a = sinLat * sinLat +
+        Math.cos(latLng.lat * RAD) * Math.cos(lat * RAD) * sinLng * sinLng;
+
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/*
+ *  Returns the great-circle distance in meters between `latLng` and the
+ *  closest location within `bounds`. Longitudes are compared modulo 360, so
+ *  this also works for the bounds of wrapped trees.
+ */
+function distanceToBounds(latLng, bounds) {
+    var south = Math.max(bounds.getSouth(), -90);
+    var north = Math.min(bounds.getNorth(), 90);
+    var west = bounds.getWest();
+    var width = bounds.getEast() - west;
+    var lat = latLng.lat;
+    var dLng = ((latLng.lng - west) % 360 + 360) % 360;
+
+    if( width >= 360 || dLng <= width ) {
+        // Within the range of longitudes, the closest location is straight
+        // north or south.
+        lat = Math.max(south, Math.min(lat, north));
+        return distance(latLng, lat, latLng.lng);
+    }
+
+    // Otherwise the closest location lies on one of the meridian edges.
+    return Math.min(distanceToMeridian(latLng, 360 - dLng, south, north),
+                    distanceToMeridian(latLng, dLng - width, south, north));
+}
+
+/*
+ *  Returns the great-circle distance in meters between `latLng` and the
+ *  section of the meridian `dLng` degrees away that lies between the
+ *  latitudes `south` and `north`.
+ */
+function distanceToMeridian(latLng, dLng, south, north) {
+    var lat = latLng.lat;
+
+    if( dLng < 90 ) {
+        // Latitude of the closest location on the full meridian
+        lat = Math.atan(Math.tan(lat * RAD) / Math.cos(dLng * RAD)) / RAD;
+    } else {
+        // Past 90 degrees the distance only shrinks towards the pole on the
+        // same side as latLng.
+        lat = lat >= 0 ? 90 : -90;
+    }
+
+    lat = Math.max(south, Math.min(lat, north));
+
+    return distance(latLng, lat, latLng.lng + dLng);
+}
+
+/*
+ *  Pushes an item with a `distance` onto a binary min-heap.
+ */
+function heapPush(heap, item) {
+    var i = heap.length;
+    var parent;
+
+    heap.push(item);
+
+    while( i > 0 ) {
+        parent = (i - 1) >> 1;
+        if( heap[parent].distance <= item.distance ) {
+            break;
+        }
+        heap[i] = heap[parent];
+        i = parent;
+    }
+
+    heap[i] = item;
+}
+
+/*
+ *  Removes and returns the item with the smallest `distance` from a binary
+ *  min-heap.
+ */
+function heapPop(heap) {
+    var top = heap[0];
+    var last = heap.pop();
+    var i = 0;
+    var child;
+
+    if( heap.length === 0 ) {
+        return top;
+    }
+
+    while( (child = 2 * i + 1) < heap.length ) {
+        if( child + 1 < heap.length &&
+            heap[child + 1].distance < heap[child].distance ) {
+            child += 1;
+        }
+
+        if( last.distance <= heap[child].distance ) {
+            break;
+        }
+
+        heap[i] = heap[child];
+        i = child;
+    }
+
+    heap[i] = last;
+
+    return top;
+}
+
 /*
  *  Returns a cut of the tree that includes all leaf nodes within bounds.
  */
@@ -431,63 +2084,84 @@ function QuadTreeFactory() {
     var _lng = function(d) { return d.lng; };
     var _bounds = null;
     var _epsilon = 0.1;
+    var _wrap = false;
+    var _aggregates = {};
+    var _id = null;
 
-    function calculateBounds(points) {
-        if( points.length === 0 ) {
-            throw new Error('Must specify bounds of no points given for QuadTree initialization');
-        }
+    /*
+     *  Tree factory function.
+     */
+    var _gen = function(points) {
+        points = points || [];
 
-        var south = Infinity;
-        var west = Infinity;
-        var north = -Infinity;
-        var east = -Infinity;
+        var origin = null;
 
-        var i, point, lat, lng;
+        if( _wrap ) {
+            origin = _bounds ? _bounds.getWest() :
+                               calculateOrigin(points, _lng);
+        }
 
-        for( i = 0; i < points.length; i++ ) {
-            point = points[i];
-            lat = _lat(point);
-            lng = _lng(point);
+        var bounds = _bounds;
+        if( !bounds ) {
+            bounds = calculateBounds(points, _lat, wrappedLng(_lng, origin));
+        }
+        bounds = squarifyBounds(bounds);
 
-            south = Math.min(lat, south);
-            west = Math.min(lng, west);
+        var tree = new QuadTree(bounds, _lat, _lng, _epsilon, points, origin,
+                                _aggregates, _id);
 
-            north = Math.max(lat, north);
-            east = Math.max(lng, east);
-        }
+        tree.floating = _wrap && ! _bounds;
 
-        return L.latLngBounds([south, west], [north, east]);
-    }
+        return tree;
+    };
 
-    function squarifyBounds(bounds) {
-        var lat1 = bounds.getSouth();
-        var lat2 = bounds.getNorth();
-        var lng1 = bounds.getWest();
-        var lng2 = bounds.getEast();
+    /*
+     *  Rebuilds a tree from the output of QuadTree.serialize, either the
+     *  object or the binary form. `points` are the points of the tree: the
+     *  array given when serializing if the points were referenced by index,
+     *  or any array containing them if they were referenced by ID. The ID
+     *  accessor must then be set on the factory.
+     *
+     *  The accessors and aggregates of the factory are used, while the
+     *  epsilon and the longitude wrapping are those of the serialized tree.
+     */
+    _gen.fromSerialized = function(data, points) {
+        var byId, i, tree;
 
-        var dlat = lat2 - lat1;
-        var dlng = lng2 - lng1;
+        if( data instanceof ArrayBuffer || ArrayBuffer.isView(data) ) {
+            data = decodeSerialized(data);
+        }
 
-        if( dlng > dlat ) {
-            lat2 = lat1 + dlng;
-        } else {
-            lng2 = lng1 + dlat;
+        if( data.version !== SERIAL_VERSION ) {
+            throw new Error('Unsupported serialization version: ' +
+                            data.version);
         }
 
-        return L.latLngBounds([lat1, lng1], [lat2, lng2]);
-    }
+        if( data.ids ) {
+            if( ! _id ) {
+                throw new Error('Tree was serialized by ID, set an ID accessor');
+            }
 
-    /*
-     *  Tree factory function.
-     */
-    var _gen = function(points) {
-        var bounds = _bounds;
-        if( !bounds ) {
-            bounds = calculateBounds(points);
+            byId = {};
+            for( i = 0; i < points.length; i++ ) {
+                byId[_id(points[i])] = points[i];
+            }
         }
-        bounds = squarifyBounds(bounds);
 
-        return new QuadTree(bounds, _lat, _lng, _epsilon, points);
+        var resolve = function(ref) {
+            var point = byId ? byId[ref] : points[ref];
+
+            if( point === undefined ) {
+                throw new Error('Serialized point not found: ' + ref);
+            }
+
+            return point;
+        };
+
+        tree = new QuadTree(QuadTreeFactory.WORLD, _lat, _lng, data.epsilon,
+                            [], data.origin, _aggregates, _id);
+
+        return tree._load(data, resolve);
     };
 
     /*
@@ -526,6 +2200,50 @@ function QuadTreeFactory() {
         return _gen;
     };
 
+    /*
+     *  Gets or sets whether longitudes wrap around the antimeridian. Only
+     *  meaningful for geographic coordinates.
+     *
+     *  If bounds are given, the tree is cut open at their western edge.
+     *  Otherwise it is cut open in the largest gap between the points. A tree
+     *  built without points is cut open again for the first points added to
+     *  it (see QuadTree.floating).
+     */
+    _gen.wrap = function(_) {
+        if( arguments.length === 0 ) {
+            return _wrap;
+        }
+
+        _wrap = _;
+        return _gen;
+    };
+
+    /*
+     *  Gets or sets the ID accessor. If set, the tree indexes the leaf
+     *  containing each point by its ID.
+     */
+    _gen.id = function(_) {
+        if( arguments.length === 0 ) {
+            return _id;
+        }
+
+        _id = _;
+        return _gen;
+    };
+
+    /*
+     *  Gets or sets the named aggregates maintained for each node, as an object
+     *  mapping names to aggregates.
+     */
+    _gen.aggregates = function(_) {
+        if( arguments.length === 0 ) {
+            return _aggregates;
+        }
+
+        _aggregates = _ || {};
+        return _gen;
+    };
+
     /*
      *  Gets or sets epsilon.
      */
@@ -541,6 +2259,18 @@ function QuadTreeFactory() {
     return _gen;
 }
 
+/*
+ *  Extent covering the whole world, used when a tree is created without
+ *  bounds or points. Latitudes are extended past the poles to keep the
+ *  extent square.
+ */
+QuadTreeFactory.WORLD = L.latLngBounds([-180, -180], [180, 180]);
+
+/*
+ *  Name of the filter set through `filter`.
+ */
+QuadTreeFactory.DEFAULT_FILTER = QuadTree.DEFAULT_FILTER;
+
 L.QuadCluster.Tree = QuadTreeFactory;
 
 }());
@@ -0,0 +1,93 @@
+/**
+ *  @overview Geographic helpers shared by the tree, the regions, the cluster
+ *      group and the tile server. Part of every build.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+L.QuadCluster.Util = {
+    // Earth radius in meters, as used by L.LatLng.distanceTo
+    EARTH_RADIUS: 6378137,
+
+    // Latitude limit of spherical Mercator, as used by
+    // L.Projection.SphericalMercator
+    MAX_LATITUDE: 85.0511287798,
+
+    // Size of map tiles in pixels, which Leaflet also uses as the size of the
+    // world at zoom level 0
+    TILE_SIZE: 256,
+
+    /*
+     *  Default projection for cuts, which measures sizes in degrees.
+     */
+    projectDegrees: function(latLng) {
+        return L.point(latLng.lng, latLng.lat);
+    },
+
+    /*
+     *  Projects a latitude to Mercator, in degrees. `e` is the eccentricity
+     *  of the ellipsoid, 0 for spherical Mercator.
+     */
+    mercatorLat: function(lat, e) {
+        var phi = lat * Math.PI / 180;
+        var con = e * Math.sin(phi);
+        var y = Math.log(Math.tan(Math.PI / 4 + phi / 2)) +
+                e / 2 * Math.log((1 - con) / (1 + con));
+
+        return y * 180 / Math.PI;
+    },
+
+    /*
+     *  Returns a function projecting locations to pixel coordinates at `zoom`
+     *  in spherical Mercator, like L.CRS.EPSG3857 does.
+     */
+    projectMercator: function(zoom) {
+        var util = L.QuadCluster.Util;
+        var scale = util.TILE_SIZE * Math.pow(2, zoom);
+        var maxLat = util.MAX_LATITUDE;
+
+        return function(latLng) {
+            var lat = Math.max(Math.min(maxLat, latLng.lat), -maxLat);
+
+            return L.point(scale * (latLng.lng / 360 + 0.5),
+                           scale * (0.5 - util.mercatorLat(lat, 0) / 360));
+        };
+    },
+
+    /*
+     *  Returns the bounds of the spherical Mercator tile at `zoom`, `x` and
+     *  `y`.
+     */
+    tileBounds: function(zoom, x, y) {
+        var n = Math.pow(2, zoom);
+
+        function tileLat(row) {
+            var k = Math.PI * (1 - 2 * row / n);
+
+            return Math.atan((Math.exp(k) - Math.exp(-k)) / 2) * 180 / Math.PI;
+        }
+
+        return L.latLngBounds([ tileLat(y + 1), x / n * 360 - 180 ],
+                              [ tileLat(y), (x + 1) / n * 360 - 180 ]);
+    },
+
+    /*
+     *  Wraps a longitude into the 360 degree range starting at `origin`.
+     */
+    wrapLng: function(lng, origin) {
+        return origin + (((lng - origin) % 360) + 360) % 360;
+    },
+
+    /*
+     *  Shifts bounds by the given number of degrees of longitude.
+     */
+    shiftBounds: function(bounds, offset) {
+        if( ! offset ) {
+            return bounds;
+        }
+
+        return L.latLngBounds([ bounds.getSouth(), bounds.getWest() + offset ],
+                              [ bounds.getNorth(), bounds.getEast() + offset ]);
+    }
+};
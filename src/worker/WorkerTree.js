@@ -0,0 +1,478 @@
+/**
+ *  @overview Main thread proxy for a quad tree living in a Web Worker.
+ *  @license MIT
+ */
+
+/* global L:true */
+
+(function() {
+
+var wrapLng = L.QuadCluster.Util.wrapLng;
+
+/**
+ *  Node of the cut of a WorkerTree. Has the same fields as a QuadTreeNode
+ *  that are needed to display it. The worker only sends the IDs of the
+ *  points of leaves and of nodes too small to be shown as clusters, which
+ *  are then `listed` in `points`. The points of other nodes are requested
+ *  through WorkerTree.getPoints.
+ *  @constructor
+ */
+function WorkerTreeNode(path, generation, bounds) {
+    this.path = path;
+    this.generation = generation;
+    this.bounds = bounds;
+    this.parent = null;
+    this.active = true;
+    this.leaf = false;
+    this.listed = false;
+    this.points = [];
+    this.states = {};
+    this.center = null;
+    this.mass = 0;
+    this.marker = null;
+}
+
+WorkerTreeNode.prototype.getPoints = function(storage) {
+    storage = storage || [];
+
+    for( var i = 0; i < this.points.length; i++ ) {
+        storage.push(this.points[i]);
+    }
+
+    return storage;
+};
+
+/**
+ *  A quad tree that is built, filtered and cut in a Web Worker running
+ *  leaflet.quadcluster-worker.js. Points are sent to the worker as plain
+ *  { id, lat, lng } records, so their IDs must be numbers. Functions can't be
+ *  sent to the worker, so only spatial filters are supported.
+ *
+ *  Changes are sent to the worker as they are made. Requests that return
+ *  results (filters and cuts) take a callback, which is called with the
+ *  results once the worker has handled every earlier change.
+ *  @constructor
+ *
+ *  @param {Worker} worker - The worker to run the tree in.
+ *  @param {Object} options - The `lat`, `lng` and `id` accessors for points,
+ *      the `epsilon` of the tree, whether it should `wrap` longitudes and the
+ *      `minimum` mass of the nodes shown as clusters.
+ */
+function WorkerTree(worker, options) {
+    this._worker = worker;
+    this._lat = options.lat;
+    this._lng = options.lng;
+    this._id = options.id;
+    this._wrap = options.wrap;
+
+    // Points by ID, and the filters set, which are also kept here to test
+    // single points on the main thread
+    this._points = {};
+    this._filters = {};
+
+    // Points inserted since the last update
+    this._inserted = [];
+
+    this._callbacks = {};
+    this._nextRequest = 1;
+
+    // Nodes of the last cut by path, the listed nodes containing each point
+    // and the longitude the tree is cut open at, if it wraps
+    this._generation = null;
+    this._nodes = {};
+    this._leaves = {};
+    this._origin = null;
+
+    this._worker.onmessage = L.bind(this._onMessage, this);
+    this._post({
+        type: 'init',
+        epsilon: options.epsilon,
+        wrap: options.wrap,
+        minimum: options.minimum
+    });
+}
+
+/*
+ *  Replaces the contents of the tree with the given points.
+ */
+WorkerTree.prototype.build = function(points) {
+    this._points = {};
+    this._post({ type: 'build', points: this._register(points) });
+};
+
+/*
+ *  Replaces the contents of the tree with a tree serialized by
+ *  QuadTree.serialize, whose points are resolved against `points` (see
+ *  L.QuadCluster.Tree().fromSerialized). The worker loads it with the
+ *  records of the points.
+ */
+WorkerTree.prototype.load = function(data, points) {
+    this._points = {};
+    this._post({ type: 'load', data: data, points: this._register(points) });
+};
+
+WorkerTree.prototype.add = function(point) {
+    this.addAll([ point ]);
+};
+
+WorkerTree.prototype.addAll = function(points) {
+    this._post({ type: 'add', points: this._register(points) });
+};
+
+/*
+ *  Queues a point to be sent to the worker on the next `update`.
+ */
+WorkerTree.prototype.insert = function(point) {
+    this._inserted.push(point);
+};
+
+WorkerTree.prototype.update = function() {
+    if( this._inserted.length > 0 ) {
+        this.addAll(this._inserted);
+        this._inserted = [];
+    }
+};
+
+WorkerTree.prototype.remove = function(point) {
+    return this.removeAll([ point ]) > 0;
+};
+
+WorkerTree.prototype.removeAll = function(points) {
+    var ids = [];
+    var id;
+
+    for( var i = 0; i < points.length; i++ ) {
+        id = this._id(points[i]);
+        if( this._points[id] ) {
+            delete this._points[id];
+            delete this._leaves[id];
+            ids.push(id);
+        }
+    }
+
+    this._post({ type: 'remove', ids: ids });
+
+    return ids.length;
+};
+
+/*
+ *  Sends the current locations of the given points to the worker.
+ */
+WorkerTree.prototype.moveAll = function(points) {
+    var records = [];
+
+    for( var i = 0; i < points.length; i++ ) {
+        if( this._points[this._id(points[i])] ) {
+            records.push(this._record(points[i]));
+        }
+    }
+
+    this._post({ type: 'move', points: records });
+
+    return records.length;
+};
+
+WorkerTree.prototype.clear = function() {
+    this._points = {};
+    this._leaves = {};
+    this._inserted = [];
+    this._post({ type: 'clear' });
+};
+
+/*
+ *  Returns the node of the last cut that contains the point, or null. Points
+ *  that weren't listed with the cut are located by their coordinates, after
+ *  testing them against the filters.
+ */
+WorkerTree.prototype.getLeaf = function(point) {
+    var id = this._id(point);
+    var lat, lng, path, node;
+
+    if( this._leaves[id] ) {
+        return this._leaves[id];
+    }
+
+    if( ! this._points[id] || ! this._accepts(point) ) {
+        return null;
+    }
+
+    lat = this._lat(point);
+    lng = this._origin === null ? this._lng(point) :
+                                  wrapLng(this._lng(point), this._origin);
+
+    for( path in this._nodes ) {
+        node = this._nodes[path];
+
+        if( ! node.listed && node.bounds.contains([ lat, lng ]) ) {
+            return node;
+        }
+    }
+
+    return null;
+};
+
+/*
+ *  Calls back with the active points of a node of the last cut. They are
+ *  requested from the worker unless they were listed with the cut. Nodes of
+ *  an older tree root have no points.
+ */
+WorkerTree.prototype.getPoints = function(node, callback) {
+    if( node.listed ) {
+        callback(node.getPoints());
+        return;
+    }
+
+    this._request({
+        type: 'points',
+        generation: node.generation,
+        path: node.path
+    }, L.bind(function(result) {
+        var points = [];
+
+        for( var i = 0; i < result.ids.length; i++ ) {
+            if( this._points[result.ids[i]] ) {
+                points.push(this._points[result.ids[i]]);
+            }
+        }
+
+        callback(points);
+    }, this));
+};
+
+WorkerTree.prototype.has = function(point) {
+    return !! this._points[this._id(point)];
+};
+
+/*
+ *  Only clears named filters: filter functions can't be sent to the worker,
+ *  so setting one throws. Use `setSpatialFilter` instead.
+ */
+WorkerTree.prototype.setFilter = function(name, filterFunc, callback) {
+    if( filterFunc ) {
+        throw new Error('Filter functions are not supported in worker mode, ' +
+                        'use spatial filters');
+    }
+
+    this.clearFilter(name, callback);
+};
+
+/*
+ *  Removes a filter. The callback is called with the number of active points
+ *  `before` and `after` the change.
+ */
+WorkerTree.prototype.clearFilter = function(name, callback) {
+    delete this._filters[name];
+    this._request({ type: 'filter', name: name }, callback);
+};
+
+/*
+ *  Sets a filter that only accepts points inside a region. See
+ *  L.QuadCluster.Region.from for the supported regions. The region is sent
+ *  to the worker through its `toJSON` method, so custom regions can't be
+ *  used.
+ */
+WorkerTree.prototype.setSpatialFilter = function(name, region, callback) {
+    region = L.QuadCluster.Region.from(region);
+
+    if( typeof region.toJSON !== 'function' ) {
+        throw new Error('Custom regions are not supported in worker mode');
+    }
+
+    this._filters[name] = this._regionFilter(region);
+    this._request({ type: 'filter', name: name, region: region.toJSON() },
+                  callback);
+};
+
+WorkerTree.prototype.getFilters = function() {
+    return Object.keys(this._filters);
+};
+
+/*
+ *  Cuts the tree within `bounds` (see QuadTree.cut) for every world copy.
+ *  As functions can't be sent to the worker, the projection is described by
+ *  an object with a `type` ('mercator' or 'lonlat') and the number of
+ *  pixels per degree of longitude (`kx`) and latitude (`ky`) at the equator.
+ *  Mercator projections also have the eccentricity `e` of their ellipsoid
+ *  (0 if spherical) and the `maxLat` they clamp latitudes to.
+ *
+ *  The callback is called with the nodes of the cut and the world copy
+ *  offset of each node.
+ */
+WorkerTree.prototype.cut = function(bounds, maxSize, projection, callback) {
+    bounds = L.latLngBounds(bounds);
+
+    this._request({
+        type: 'cut',
+        bounds: [ bounds.getSouth(), bounds.getWest(),
+                  bounds.getNorth(), bounds.getEast() ],
+        size: maxSize,
+        projection: projection
+    }, L.bind(function(result) {
+        this._readCut(result, callback);
+    }, this));
+};
+
+/*
+ *  Returns the leaves within `bounds` for every world copy, like `cut`.
+ */
+WorkerTree.prototype.cutLeaves = function(bounds, callback) {
+    this.cut(bounds, 0, null, callback);
+};
+
+/*
+ *  Stops the worker.
+ */
+WorkerTree.prototype.terminate = function() {
+    this._worker.terminate();
+    this._callbacks = {};
+};
+
+/*
+ *  Registers points and returns their records for the worker.
+ */
+WorkerTree.prototype._register = function(points) {
+    var records = [];
+
+    for( var i = 0; i < points.length; i++ ) {
+        this._points[this._id(points[i])] = points[i];
+        records.push(this._record(points[i]));
+    }
+
+    return records;
+};
+
+/*
+ *  Returns a filter accepting the records inside a region, in any world copy
+ *  if the tree wraps.
+ */
+WorkerTree.prototype._regionFilter = function(region) {
+    var west = region.getBounds().getWest();
+    var east = region.getBounds().getEast();
+    var wrap = this._wrap;
+
+    return function(d) {
+        var lng = wrap ? d.lng + 360 * Math.ceil((west - d.lng) / 360) : d.lng;
+
+        do {
+            if( region.contains(L.latLng(d.lat, lng)) ) {
+                return true;
+            }
+            lng += 360;
+        } while( wrap && lng <= east );
+
+        return false;
+    };
+};
+
+/*
+ *  Whether every filter accepts the point.
+ */
+WorkerTree.prototype._accepts = function(point) {
+    var record = this._record(point);
+
+    for( var name in this._filters ) {
+        if( ! this._filters[name](record) ) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/*
+ *  Returns the record sent to the worker for a point.
+ */
+WorkerTree.prototype._record = function(point) {
+    return {
+        id: this._id(point),
+        lat: this._lat(point),
+        lng: this._lng(point)
+    };
+};
+
+/*
+ *  Turns the cluster descriptors sent by the worker into nodes. Nodes that
+ *  didn't change since the last cut are reused, so that they keep their
+ *  cluster markers. The nodes of both cuts are then linked to their closest
+ *  ancestors, which lets zoom animations find where layers came from.
+ */
+WorkerTree.prototype._readCut = function(result, callback) {
+    var previous = result.generation === this._generation ? this._nodes : {};
+    var nodes = {};
+    var cut = [];
+    var offsets = [];
+    var start = 0;
+    var i, j, d, node, path, all;
+
+    this._leaves = {};
+
+    for( i = 0; i < result.nodes.length; i++ ) {
+        d = result.nodes[i];
+        node = nodes[d.path] || previous[d.path];
+
+        if( ! node || node.mass !== d.mass || node.center.lat !== d.lat ||
+            node.center.lng !== d.lng ) {
+            node = new WorkerTreeNode(d.path, result.generation,
+                L.latLngBounds([ d.bounds[0], d.bounds[1] ],
+                               [ d.bounds[2], d.bounds[3] ]));
+            node.center = L.latLng(d.lat, d.lng);
+            node.mass = d.mass;
+        }
+
+        node.leaf = d.leaf;
+        node.listed = d.listed;
+        node.points = [];
+
+        for( j = start; j < start + d.count; j++ ) {
+            if( this._points[result.ids[j]] ) {
+                node.points.push(this._points[result.ids[j]]);
+                this._leaves[result.ids[j]] = node;
+            }
+        }
+        start += d.count;
+
+        nodes[d.path] = node;
+        cut.push(node);
+        offsets.push(d.offset);
+    }
+
+    all = L.extend({}, previous, nodes);
+
+    for( path in all ) {
+        node = all[path];
+        node.parent = null;
+
+        for( j = path.length - 1; j >= 0 && ! node.parent; j-- ) {
+            node.parent = all[path.slice(0, j)] || null;
+        }
+    }
+
+    this._generation = result.generation;
+    this._nodes = nodes;
+    this._origin = result.origin;
+
+    callback(cut, offsets);
+};
+
+WorkerTree.prototype._post = function(msg) {
+    this._worker.postMessage(msg);
+};
+
+WorkerTree.prototype._request = function(msg, callback) {
+    msg.request = this._nextRequest++;
+    this._callbacks[msg.request] = callback || L.Util.falseFn;
+    this._post(msg);
+};
+
+WorkerTree.prototype._onMessage = function(e) {
+    var callback = this._callbacks[e.data.request];
+
+    if( callback ) {
+        delete this._callbacks[e.data.request];
+        callback(e.data.result);
+    }
+};
+
+L.QuadCluster.WorkerTree = WorkerTree;
+
+}());
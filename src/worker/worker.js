@@ -0,0 +1,271 @@
+/**
+ *  @overview Web Worker side of L.QuadCluster.WorkerTree. Keeps a quad tree of
+ *      plain { id, lat, lng } records, filters it and answers cut
+ *      requests with cluster descriptors.
+ *  @license MIT
+ *
+ *  Built into leaflet.quadcluster-worker.js together with geo.js and the tree
+ *  modules.
+ */
+
+/* global L:true, self */
+
+(function() {
+
+// Records by ID. Each record has an `id`, `lat` and `lng`.
+var records = {};
+var treeGen = null;
+var tree = null;
+
+// Nodes of cuts with at least this mass are shown as clusters, so the IDs
+// of their points are only sent on request.
+var minimum = 0;
+
+// Filter messages by name, to set the filters again on rebuilt trees
+var filters = {};
+
+// Paths of nodes are only comparable between cuts as long as the root stays
+// the same, so the generation is bumped whenever it changes.
+var root = null;
+var generation = 0;
+
+/*
+ *  Sets the spatial filter described by a filter message on the tree, or
+ *  clears it.
+ */
+function applyFilter(msg) {
+    if( msg.region ) {
+        tree.setSpatialFilter(msg.name, msg.region);
+    } else {
+        tree.clearFilter(msg.name);
+    }
+}
+
+function addRecords(points) {
+    for( var i = 0; i < points.length; i++ ) {
+        records[points[i].id] = points[i];
+    }
+}
+
+/*
+ *  Returns the path of quadrants from the root to the node, e.g. '031'.
+ */
+function nodePath(node) {
+    var path = '';
+
+    for( ; node.parent; node = node.parent ) {
+        path = node.parent.nodes.indexOf(node) + path;
+    }
+
+    return path;
+}
+
+/*
+ *  Returns a projection function from a projection description sent by
+ *  L.QuadCluster.WorkerTree. Coordinates are projected to degrees, then
+ *  scaled to pixels.
+ */
+function createProjection(spec, offset) {
+    var mercator = spec.type === 'mercator';
+    var mercatorLat = L.QuadCluster.Util.mercatorLat;
+
+    return function(latLng) {
+        var y = latLng.lat;
+
+        if( mercator ) {
+            y = mercatorLat(Math.max(Math.min(spec.maxLat, y), -spec.maxLat),
+                            spec.e);
+        }
+
+        return L.point((latLng.lng + offset) * spec.kx, y * spec.ky);
+    };
+}
+
+var handlers = {
+    init: function(msg) {
+        treeGen = L.QuadCluster.Tree()
+            .id(function(d) { return d.id; })
+            .epsilon(msg.epsilon)
+            .wrap(msg.wrap);
+
+        records = {};
+        filters = {};
+        minimum = msg.minimum;
+        tree = treeGen([]);
+    },
+
+    build: function(msg) {
+        records = {};
+        addRecords(msg.points);
+        tree = treeGen(msg.points);
+
+        for( var name in filters ) {
+            applyFilter(filters[name]);
+        }
+    },
+
+    load: function(msg) {
+        records = {};
+        addRecords(msg.points);
+        tree = treeGen.fromSerialized(msg.data, msg.points);
+
+        for( var name in filters ) {
+            applyFilter(filters[name]);
+        }
+    },
+
+    add: function(msg) {
+        addRecords(msg.points);
+        tree.addAll(msg.points);
+    },
+
+    remove: function(msg) {
+        var points = [];
+
+        for( var i = 0; i < msg.ids.length; i++ ) {
+            if( records[msg.ids[i]] ) {
+                points.push(records[msg.ids[i]]);
+                delete records[msg.ids[i]];
+            }
+        }
+
+        tree.removeAll(points);
+    },
+
+    move: function(msg) {
+        var points = [];
+        var i, record;
+
+        for( i = 0; i < msg.points.length; i++ ) {
+            record = records[msg.points[i].id];
+            if( record ) {
+                record.lat = msg.points[i].lat;
+                record.lng = msg.points[i].lng;
+                points.push(record);
+            }
+        }
+
+        tree.moveAll(points);
+    },
+
+    clear: function() {
+        records = {};
+        tree.clear();
+    },
+
+    /*
+     *  Sets the filter with the given name from its source code or region
+     *  description, or clears it if neither is given.
+     */
+    filter: function(msg) {
+        var before = tree.root.mass;
+
+        applyFilter(msg);
+
+        if( msg.region || msg.source ) {
+            filters[msg.name] = msg;
+        } else {
+            delete filters[msg.name];
+        }
+
+        return { before: before, after: tree.root.mass };
+    },
+
+    /*
+     *  Cuts the tree for each world copy within the bounds, or returns the
+     *  visible leaves if no projection is given. Every node of the cut is
+     *  described by its path, world copy offset, center, mass and bounds.
+     *  The IDs of the active points of leaves and of nodes lighter than
+     *  `minimum` are listed in `ids`.
+     */
+    cut: function(msg) {
+        var b = msg.bounds;
+        var bounds = L.latLngBounds([ b[0], b[1] ], [ b[2], b[3] ]);
+        var offsets = tree.worldOffsets(bounds);
+        var nodes = [];
+        var ids = [];
+        var i, k, cut, node, points, listed, shifted;
+
+        if( tree.root !== root ) {
+            root = tree.root;
+            generation += 1;
+        }
+
+        for( k = 0; k < offsets.length; k++ ) {
+            shifted = L.latLngBounds([ b[0], b[1] - offsets[k] ],
+                                     [ b[2], b[3] - offsets[k] ]);
+
+            if( msg.projection ) {
+                cut = tree.cut(shifted, msg.size,
+                               createProjection(msg.projection, offsets[k]));
+            } else {
+                cut = tree.cutLeaves(shifted);
+            }
+
+            for( i = 0; i < cut.length; i++ ) {
+                node = cut[i];
+                listed = node.leaf || node.mass < minimum;
+                points = listed ? node.getPoints() : [];
+
+                nodes.push({
+                    path: nodePath(node),
+                    offset: offsets[k],
+                    lat: node.center.lat,
+                    lng: node.center.lng,
+                    mass: node.mass,
+                    leaf: node.leaf,
+                    bounds: [ node.bounds.getSouth(), node.bounds.getWest(),
+                              node.bounds.getNorth(), node.bounds.getEast() ],
+                    listed: listed,
+                    count: points.length
+                });
+
+                for( var j = 0; j < points.length; j++ ) {
+                    ids.push(points[j].id);
+                }
+            }
+        }
+
+        return {
+            generation: generation,
+            origin: tree.origin,
+            nodes: nodes,
+            ids: new Float64Array(ids)
+        };
+    },
+
+    /*
+     *  Returns the IDs of the active points of the node at `path`, as of the
+     *  cut of the given generation.
+     */
+    points: function(msg) {
+        var node = tree.root === root && msg.generation === generation ?
+                   tree.root : null;
+        var ids = [];
+        var i, points;
+
+        for( i = 0; node && i < msg.path.length; i++ ) {
+            node = node.leaf ? null : node.nodes[Number(msg.path.charAt(i))];
+        }
+
+        points = node ? node.getPoints() : [];
+
+        for( i = 0; i < points.length; i++ ) {
+            ids.push(points[i].id);
+        }
+
+        return { ids: new Float64Array(ids) };
+    }
+};
+
+self.onmessage = function(e) {
+    var msg = e.data;
+    var result = handlers[msg.type](msg);
+
+    if( msg.request ) {
+        self.postMessage({ request: msg.request, result: result },
+                         result && result.ids ? [ result.ids.buffer ] : []);
+    }
+};
+
+}());
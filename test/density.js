@@ -0,0 +1,144 @@
+/* jshint node: true */
+
+/*
+ *  Tests of the density surface computation.
+ */
+
+var test = require('tape');
+var browser = require('./helpers/browser');
+
+var L = browser.L;
+var element = browser.element;
+
+var CELL_SIZE = 4;
+
+/*
+ *  Returns a density layer of a stand-in group with the given options, on a
+ *  map that places latitude/longitude (0, 0) at the top left pixel and
+ *  counts one pixel per degree.
+ */
+function createLayer(options) {
+    var group = {
+        options: L.extend({}, L.QuadCluster.MarkerClusterGroup.prototype.options,
+                          options),
+        _interpolateColor: L.QuadCluster.MarkerClusterGroup.prototype._interpolateColor
+    };
+    var layer = new L.QuadCluster.DensityLayer(group);
+
+    layer._map = {
+        latLngToContainerPoint: function(latLng) {
+            latLng = L.latLng(latLng);
+            return L.point(latLng.lng, latLng.lat);
+        }
+    };
+
+    return layer;
+}
+
+function node(lat, lng, mass, states) {
+    return { center: L.latLng(lat, lng), mass: mass, states: states || {} };
+}
+
+function value(grid, x, y) {
+    return grid.values[y * grid.columns + x];
+}
+
+test('kernels peak at the node and end at the radius', function(t) {
+    var layer = createLayer({ densityRadius: 20 });
+    var grid;
+
+    // Center of the cell at (10, 10)
+    layer._nodes = [ node(42, 42, 3) ];
+    layer._offsets = [ 0 ];
+    grid = layer._estimate(L.point(100, 80));
+
+    t.equal(grid.columns, 25);
+    t.equal(grid.rows, 20);
+    t.equal(value(grid, 10, 10), 3, 'the full weight at the center');
+    t.ok(value(grid, 11, 10) < 3 && value(grid, 11, 10) > 0);
+    t.equal(value(grid, 11, 10), value(grid, 9, 10), 'symmetric');
+    t.equal(value(grid, 10, 10 + 20 / CELL_SIZE), 0, 'zero at the radius');
+    t.equal(value(grid, 20, 10), 0);
+    t.end();
+});
+
+test('kernels are weighted by the densityWeight aggregate', function(t) {
+    var layer = createLayer({ densityRadius: 20, densityWeight: 'sum' });
+    var grid;
+
+    layer._nodes = [
+        node(22, 22, 1, { sum: 2 }),
+        node(62, 62, 1, { sum: 6 }),
+        node(42, 22, 100, { sum: null })
+    ];
+    layer._offsets = [ 0, 0, 0 ];
+    grid = layer._estimate(L.point(100, 80));
+
+    t.equal(value(grid, 5, 5), 2);
+    t.equal(value(grid, 15, 15), 6);
+    t.equal(value(grid, 5, 10), 0, 'nodes without a weight are skipped');
+    t.end();
+});
+
+test('nodes are drawn on their world copy', function(t) {
+    var layer = createLayer({ densityRadius: 20 });
+    var grid;
+
+    layer._nodes = [ node(42, -318, 1) ];
+    layer._offsets = [ 360 ];
+    grid = layer._estimate(L.point(100, 80));
+
+    t.equal(value(grid, 10, 10), 1);
+    t.end();
+});
+
+test('densities are colored relative to the highest one', function(t) {
+    var layer = createLayer({
+        densityPalette: [ '#000000', '#ff0000' ],
+        densityOpacity: 0.5
+    });
+    var grid = {
+        values: new Float32Array([ 0, 1, 0.1, 0.5 ]),
+        columns: 2,
+        rows: 2
+    };
+    var image = layer._colorize(grid);
+    var data = image.imageData.data;
+
+    t.equal(image.width, 2);
+    t.equal(image.height, 2);
+    t.deepEqual([].slice.call(data, 0, 4), [ 0, 0, 0, 0 ], 'empty cells');
+    t.deepEqual([].slice.call(data, 4, 8), [ 255, 0, 0, 128 ],
+                'the highest density in full');
+    t.equal(data[8], 26);
+    t.equal(data[11], Math.round(255 * 0.5 * 0.1 / 0.25), 'faded out');
+    t.equal(data[15], 128, 'opaque above the fade');
+    t.end();
+});
+
+test('the canvas follows the size of the map', function(t) {
+    var layer = new L.QuadCluster.DensityLayer({});
+    var size = L.point(100, 80);
+    var Map = L.Class.extend({ includes: L.Mixin.Events });
+    var map = new Map();
+    var pane = element();
+
+    pane.removeChild = function() {};
+    L.extend(map, {
+        getPanes: function() { return { overlayPane: pane }; },
+        getSize: function() { return size; },
+        containerPointToLayerPoint: function(point) { return L.point(point); }
+    });
+
+    layer.onAdd(map);
+    t.equal(layer._canvas.style.width, '100px');
+
+    size = L.point(300, 200);
+    map.fire('resize');
+    t.equal(layer._canvas.style.width, '300px');
+    t.equal(layer._canvas.style.height, '200px');
+
+    layer.onRemove(map);
+    t.notOk(map.hasEventListeners('resize'));
+    t.end();
+});
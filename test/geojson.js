@@ -0,0 +1,178 @@
+/* jshint node: true */
+
+/*
+ *  Tests of the GeoJSON group and of the GeoJSON export of groups and
+ *  clusters.
+ */
+
+var test = require('tape');
+var browser = require('./helpers/browser');
+var makePoints = require('./helpers/points').makePoints;
+
+var L = browser.L;
+var show = browser.show;
+
+var WORLD = [ [ -85, -180 ], [ 85, 180 ] ];
+
+var RECORDS = {
+    createMarker: function(d) {
+        return L.marker([ d.lat, d.lng ], { record: d });
+    },
+    lat: function(d) { return d.lat; },
+    lng: function(d) { return d.lng; }
+};
+
+function makeFeatures(n) {
+    return makePoints(n).map(function(d) {
+        return {
+            type: 'Feature',
+            properties: { id: d.id, category: d.category },
+            geometry: { type: 'Point', coordinates: [ d.lng, d.lat ] }
+        };
+    });
+}
+
+function byId(a, b) {
+    return a.properties.id - b.properties.id;
+}
+
+function makeGroup(features, created) {
+    return L.QuadCluster.geoJson({
+        type: 'FeatureCollection',
+        features: features
+    }, {
+        pointToLayer: function(feature, latLng) {
+            created.push(feature);
+            return L.marker(latLng);
+        }
+    });
+}
+
+test('GeoJSON groups create markers for shown features only', function(t) {
+    var features = makeFeatures(500);
+    var created = [];
+    var group = makeGroup(features, created);
+    var markers;
+
+    t.equal(created.length, 0, 'nothing is created before it is shown');
+
+    show(group, 2, WORLD);
+    markers = group.getVisibleMarkers();
+    t.ok(group.getVisibleClusters().length > 0);
+    t.equal(created.length, markers.length, 'clusters need no markers');
+
+    created = [];
+    group = makeGroup(features, created);
+    show(group, 16, [ [ 0, 0 ], [ 90, 180 ] ]);
+    markers = group.getVisibleMarkers();
+
+    t.ok(markers.length > 0 && markers.length < 500);
+    t.equal(created.length, markers.length);
+    markers.forEach(function(marker) {
+        t.equal(marker.feature, features[marker.feature.properties.id]);
+        t.deepEqual(marker.getLatLng(),
+                    L.GeoJSON.coordsToLatLng(marker.feature.geometry.coordinates));
+    });
+    t.end();
+});
+
+test('GeoJSON groups export their features', function(t) {
+    function makeData() {
+        return makeFeatures(100).concat([ {
+            type: 'Feature',
+            properties: { id: 100 },
+            geometry: {
+                type: 'LineString',
+                coordinates: [ [ 0, 0 ], [ 1, 1 ] ]
+            }
+        } ]);
+    }
+
+    var group = L.QuadCluster.geoJson(makeData());
+    var json;
+
+    show(group, 2, WORLD);
+    json = group.toGeoJSON();
+
+    t.equal(json.type, 'FeatureCollection');
+    t.equal(group.getLayers().length, 101);
+    t.deepEqual(json.features.sort(byId), makeData(),
+                'points and other features, without Leaflet IDs');
+    t.end();
+});
+
+test('groups export all markers at their real location', function(t) {
+    var points = makePoints(200);
+    var markers = points.map(function(d) {
+        var marker = L.marker([ d.lat, d.lng ]);
+
+        marker.feature = { type: 'Feature', properties: { id: d.id } };
+        return marker;
+    });
+    var group = L.QuadCluster.markerClusterGroup(markers);
+    var json;
+
+    // As left by a spiderfied cluster
+    markers[0]._preSpiderfyLatlng = markers[0].getLatLng();
+    markers[0]._latlng = L.latLng(0, 0);
+
+    show(group, 2, WORLD);
+    json = group.toGeoJSON();
+
+    t.equal(json.features.length, 200, 'shown or not');
+    json.features.sort(byId).forEach(function(feature, i) {
+        t.deepEqual(feature.geometry.coordinates,
+                    [ points[i].lng, points[i].lat ]);
+    });
+    t.end();
+});
+
+test('record groups export their records as properties', function(t) {
+    var points = makePoints(50);
+    var group = L.QuadCluster.markerClusterGroup(makePoints(50), RECORDS);
+    var json;
+
+    show(group, 2, WORLD);
+    json = group.toGeoJSON();
+
+    t.equal(json.features.length, 50);
+    json.features.sort(byId).forEach(function(feature, i) {
+        t.deepEqual(feature.properties, points[i], 'without Leaflet IDs');
+        t.deepEqual(feature.geometry, {
+            type: 'Point',
+            coordinates: [ points[i].lng, points[i].lat ]
+        });
+    });
+    t.end();
+});
+
+test('clusters export their size and aggregates', function(t) {
+    var points = makePoints(500);
+    var group = L.QuadCluster.markerClusterGroup(points, L.extend({
+        aggregates: {
+            categories: L.QuadCluster.Aggregate.categories(function(d) {
+                return d.category;
+            })
+        }
+    }, RECORDS));
+
+    show(group, 2, WORLD);
+
+    group.getVisibleClusters().forEach(function(cluster) {
+        var feature = cluster.toGeoJSON();
+        var categories = {};
+
+        cluster.getAllChildMarkers().forEach(function(marker) {
+            var d = marker.options.record;
+
+            categories[d.category] = (categories[d.category] || 0) + 1;
+        });
+
+        t.equal(feature.properties.cluster, true);
+        t.equal(feature.properties.point_count, cluster.getChildCount());
+        t.deepEqual(feature.properties.categories, categories);
+        t.deepEqual(feature.geometry.coordinates,
+                    L.GeoJSON.latLngToCoords(cluster.getLatLng()));
+    });
+    t.end();
+});
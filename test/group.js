@@ -0,0 +1,219 @@
+/* jshint node: true */
+
+/*
+ *  Tests of MarkerClusterGroup, shown on a stand-in map.
+ */
+
+var test = require('tape');
+var browser = require('./helpers/browser');
+var makePoints = require('./helpers/points').makePoints;
+
+var L = browser.L;
+var show = browser.show;
+
+var WORLD = [ [ -85, -180 ], [ 85, 180 ] ];
+
+function makeMarkers(n) {
+    return makePoints(n).map(function(d) {
+        return L.marker([ d.lat, d.lng ]);
+    });
+}
+
+// Number of markers shown, counting clusters by their size
+function countShown(group) {
+    var count = group.getVisibleMarkers().length;
+
+    group.getVisibleClusters().forEach(function(cluster) {
+        count += cluster.getChildCount();
+    });
+
+    return count;
+}
+
+test('removed markers are no longer members or shown', function(t) {
+    var markers = makeMarkers(500);
+    var group = L.QuadCluster.markerClusterGroup(markers);
+
+    show(group, 2, WORLD);
+    t.equal(countShown(group), 500);
+
+    group.removeLayer(markers[0]);
+    t.notOk(group.hasLayer(markers[0]));
+    t.equal(countShown(group), 499);
+
+    group.removeLayers(markers.slice(0, 100));
+    group.removeLayer(L.layerGroup(markers.slice(100, 150)));
+    t.equal(group.getLayers().length, 350);
+    t.equal(countShown(group), 350);
+
+    group.removeLayer(markers[0]);
+    t.equal(group.getLayers().length, 350, 'removing twice is a no-op');
+    t.end();
+});
+
+test('moved markers are shown at their new location', function(t) {
+    var markers = makeMarkers(500);
+    var group = L.QuadCluster.markerClusterGroup(markers);
+    var bounds = [ [ 44.9, 9.9 ], [ 45.1, 10.1 ] ];
+
+    show(group, 16, bounds);
+    t.equal(group.getVisibleMarkers().length, 0);
+
+    // Fires `move`, which the group picks up.
+    markers[0].setLatLng([ 45, 10 ]);
+
+    // Changes the location without an event.
+    markers[1]._latlng = L.latLng(45.01, 10.01);
+    group.updateLayer(markers[1]);
+
+    // Moves are applied together on the next animation frame.
+    setTimeout(function() {
+        show(group, 16, bounds);
+        t.deepEqual(group.getVisibleMarkers().sort(function(a, b) {
+            return L.stamp(a) - L.stamp(b);
+        }), [ markers[0], markers[1] ]);
+        t.equal(group.getVisibleParent(markers[0]), markers[0]);
+        t.end();
+    }, 50);
+});
+
+test('markers without a finite location are rejected', function(t) {
+    var group = L.QuadCluster.markerClusterGroup(makeMarkers(10));
+    var marker = L.marker([ 0, 0 ]);
+
+    marker._latlng = L.latLng(0, 0);
+    marker._latlng.lat = NaN;
+
+    t.throws(function() {
+        group.addLayer(marker);
+    }, /Invalid point location/);
+    t.end();
+});
+
+test('filtered out markers have no visible parent', function(t) {
+    var markers = makeMarkers(500);
+    var group = L.QuadCluster.markerClusterGroup(markers);
+
+    show(group, 2, WORLD);
+    t.ok(group.getVisibleParent(markers[0]));
+
+    group.setFilter('others', function(marker) {
+        return marker !== markers[0];
+    });
+    t.equal(group.getVisibleParent(markers[0]), null);
+    t.ok(group.getVisibleParent(markers[1]));
+    t.end();
+});
+
+test('groups created empty cluster across the antimeridian', function(t) {
+    function create(options) {
+        var group = L.QuadCluster.markerClusterGroup([], L.extend({
+            wrapLongitude: true,
+            clusterMinimum: 2
+        }, options));
+
+        group.addLayers([
+            L.marker([ 10, 179.9 ]),
+            L.marker([ 10.1, -179.9 ]),
+            L.marker([ 9.9, 180.1 ])
+        ]);
+
+        show(group, 5, [ [ 0, 170 ], [ 20, 190 ] ]);
+
+        return group.getVisibleClusters().map(function(cluster) {
+            return cluster.getChildCount();
+        });
+    }
+
+    t.deepEqual(create(), [ 3 ]);
+    t.deepEqual(create({ chunkedLoading: true }), [ 3 ]);
+    t.end();
+});
+
+test('clicks on world copies of markers reach the marker', function(t) {
+    var marker = L.marker([ 10, 170 ]);
+    var group = L.QuadCluster.markerClusterGroup([ marker ], {
+        wrapLongitude: true,
+        singlesOnZoom: 0
+    });
+    var clicks = [];
+    var groupClicks = [];
+    var copies;
+
+    marker.on('click', function(e) {
+        clicks.push(e.worldCopy ? 'copy' : 'marker');
+    });
+    group.on('click', function(e) {
+        groupClicks.push(e.layer);
+    });
+
+    show(group, 16, [ [ 9, -200 ], [ 11, 560 ] ]);
+    copies = group.getVisibleMarkers();
+    t.equal(copies.length, 3, 'shown on three world copies');
+
+    copies.forEach(function(layer) {
+        layer.fire('click', { latlng: layer.getLatLng() });
+    });
+
+    t.deepEqual(clicks.sort(), [ 'copy', 'copy', 'marker' ]);
+    t.deepEqual(groupClicks, [ marker, marker, marker ],
+                'reported once each, as the marker');
+    t.end();
+});
+
+test('cluster icons are only updated when they change', function(t) {
+    var markers = makeMarkers(500);
+    var group = L.QuadCluster.markerClusterGroup(markers, {
+        iconScale: 'linear',
+        clusterMinimum: 2
+    });
+    var proto = L.QuadCluster.MarkerCluster.prototype;
+    var updateIcon = proto._updateIcon;
+    var updated = [];
+    var clusters, cluster, marker, count;
+
+    proto._updateIcon = function() {
+        updated.push(this);
+        return updateIcon.apply(this, arguments);
+    };
+
+    show(group, 2, WORLD);
+    clusters = group.getVisibleClusters();
+    t.equal(updated.length, clusters.length, 'new clusters get an icon');
+
+    updated = [];
+    show(group, 2, WORLD);
+    t.equal(updated.length, 0, 'nothing changed');
+
+    // Filters out one marker of a cluster that is neither the smallest nor
+    // the largest, which keeps the range of masses.
+    clusters.sort(function(a, b) {
+        return a.getChildCount() - b.getChildCount();
+    });
+    cluster = clusters.filter(function(d) {
+        return d.getChildCount() - 1 > clusters[0].getChildCount() &&
+               d.getChildCount() < clusters[clusters.length - 1].getChildCount();
+    })[0];
+    marker = cluster.getAllChildMarkers()[0];
+    count = cluster.getChildCount();
+
+    updated = [];
+    group.setFilter('one', function(d) {
+        return d !== marker;
+    });
+    // Changed nodes get a new cluster.
+    t.equal(updated.length, 1, 'only the changed cluster');
+    t.equal(updated[0]._node, cluster._node);
+    t.equal(updated[0].getChildCount(), count - 1);
+
+    updated = [];
+    group.setFilter('one', function(d) {
+        return d.getLatLng().lat > 0;
+    });
+    t.ok(updated.length > 1);
+    t.equal(updated.length, group.getVisibleClusters().length,
+            'every cluster when the range changes');
+
+    proto._updateIcon = updateIcon;
+    t.end();
+});
@@ -0,0 +1,78 @@
+/* jshint node: true */
+
+/*
+ *  Loads Leaflet and the browser build against a stub DOM, whose canvases
+ *  only support image data. Groups can't be added to a real map there, so
+ *  they are shown on a stand-in map through `show`.
+ */
+
+function element() {
+    return {
+        style: {},
+        childNodes: [],
+        appendChild: function() {},
+        setAttribute: function() {},
+        getElementsByTagName: function() { return []; },
+        addEventListener: function() {},
+        removeEventListener: function() {}
+    };
+}
+
+function canvas() {
+    var el = element();
+
+    el.getContext = function() {
+        return {
+            createImageData: function(width, height) {
+                return { data: new Uint8ClampedArray(width * height * 4) };
+            },
+            putImageData: function(data) {
+                el.imageData = data;
+            }
+        };
+    };
+
+    return el;
+}
+
+global.window = global;
+global.navigator = { userAgent: 'node', platform: 'node' };
+global.document = {
+    documentElement: element(),
+    createElement: function(tag) {
+        return tag === 'canvas' ? canvas() : element();
+    },
+    getElementsByTagName: function() { return []; },
+    addEventListener: function() {},
+    removeEventListener: function() {}
+};
+
+var L = require('leaflet');
+require('../../dist/leaflet.quadcluster.js');
+
+/*
+ *  Shows `group` as it would be on a spherical Mercator map at `zoom`,
+ *  showing `bounds`.
+ */
+function show(group, zoom, bounds) {
+    var crs = L.CRS.EPSG3857;
+
+    group._map = {
+        options: { crs: crs },
+        getZoom: function() { return zoom; },
+        getMaxZoom: function() { return 18; },
+        getBounds: function() { return L.latLngBounds(bounds); },
+        project: function(latLng, z) {
+            return crs.latLngToPoint(L.latLng(latLng), z);
+        },
+        latLngToLayerPoint: function(latLng) {
+            return crs.latLngToPoint(L.latLng(latLng), zoom);
+        }
+    };
+
+    group._refreshVisible();
+}
+
+exports.L = L;
+exports.element = element;
+exports.show = show;
@@ -0,0 +1,34 @@
+/* jshint node: true */
+
+/*
+ *  Points shared by the tests.
+ */
+
+var CATEGORIES = [ 'a', 'b', 'c' ];
+
+/*
+ *  Returns `n` points with IDs and a category, spread over most of the world
+ *  by a generator seeded with `seed` (42 by default), so that every run sees
+ *  the same points.
+ */
+exports.makePoints = function(n, seed) {
+    var points = [];
+
+    seed = seed || 42;
+
+    function random() {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    }
+
+    for( var i = 0; i < n; i++ ) {
+        points.push({
+            id: i,
+            lat: random() * 160 - 80,
+            lng: random() * 360 - 180,
+            category: CATEGORIES[i % CATEGORIES.length]
+        });
+    }
+
+    return points;
+};
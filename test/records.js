@@ -0,0 +1,139 @@
+/* jshint node: true */
+
+/*
+ *  Tests of groups in record mode, whose members are plain objects shown
+ *  through markers created on demand.
+ */
+
+var test = require('tape');
+var browser = require('./helpers/browser');
+var makePoints = require('./helpers/points').makePoints;
+
+var L = browser.L;
+var show = browser.show;
+
+var WORLD = [ [ -85, -180 ], [ 85, 180 ] ];
+var EAST = [ [ -85, 0 ], [ 85, 180 ] ];
+var WEST = [ [ -85, -180 ], [ 85, -1 ] ];
+
+/*
+ *  Returns a record group of `records`, which counts the markers it creates
+ *  and recycles in `stats`.
+ */
+function makeGroup(records, stats, options) {
+    return L.QuadCluster.markerClusterGroup(records, L.extend({
+        createMarker: function(d, recycled) {
+            if( recycled ) {
+                stats.recycled++;
+                return recycled.setLatLng([ d.lat, d.lng ]);
+            }
+
+            stats.created++;
+            return L.marker([ d.lat, d.lng ]);
+        },
+        lat: function(d) { return d.lat; },
+        lng: function(d) { return d.lng; },
+        singlesOnZoom: 0
+    }, options));
+}
+
+function makeStats() {
+    return { created: 0, recycled: 0 };
+}
+
+test('markers are created for shown records and recycled', function(t) {
+    var records = makePoints(500);
+    var stats = makeStats();
+    var group = makeGroup(records, stats);
+    var east, west;
+
+    t.equal(stats.created, 0, 'nothing is created before it is shown');
+
+    show(group, 16, EAST);
+    east = group.getVisibleMarkers().length;
+    t.ok(east > 0 && east < 500);
+    t.equal(stats.created, east);
+
+    show(group, 16, EAST);
+    t.equal(stats.created, east, 'shown markers are kept');
+
+    show(group, 16, WEST);
+    west = group.getVisibleMarkers().length;
+    t.ok(west > 0);
+    t.equal(stats.created, east + west);
+
+    // The markers released by a refresh are recycled by the next one.
+    show(group, 16, EAST);
+    t.equal(group.getVisibleMarkers().length, east);
+    t.equal(stats.recycled, east, 'markers no longer shown are recycled');
+    t.equal(stats.created, east + west);
+
+    group.getVisibleMarkers().forEach(function(marker) {
+        t.equal(group.getVisibleParent(marker), marker);
+        t.ok(marker.getLatLng().lng >= 0);
+    });
+    t.end();
+});
+
+test('members and queries are records', function(t) {
+    var records = makePoints(500);
+    var stats = makeStats();
+    var group = makeGroup(records, stats);
+    var center = L.latLng(0, 0);
+    var found, nearest, layers;
+
+    show(group, 2, WORLD);
+    stats.created = 0;
+
+    layers = group.getLayers();
+    t.equal(layers.length, 500);
+    t.ok(layers.every(function(d) { return records.indexOf(d) !== -1; }));
+    group.eachLayer(function(d) {
+        t.notOk(d instanceof L.Marker);
+    });
+    t.ok(group.hasLayer(records[0]));
+
+    nearest = group.nearest(center, 5);
+    t.equal(nearest.length, 5);
+    nearest.forEach(function(d) {
+        t.ok(records.indexOf(d.layer) !== -1);
+    });
+
+    found = group.queryRadius(center, 5000000).layers;
+    t.ok(found.length > 0);
+    t.ok(found.every(function(d) { return records.indexOf(d) !== -1; }));
+    t.equal(group.queryBounds(WORLD).layers.length, 500);
+
+    records.forEach(function(d) {
+        t.ok(group.getVisibleParent(d) instanceof L.Marker);
+    });
+    t.equal(stats.created, 0, 'no markers are created by any of these');
+    t.end();
+});
+
+test('records are shown at their new location once updated', function(t) {
+    var records = makePoints(500);
+    var stats = makeStats();
+    var group = makeGroup(records, stats);
+    var bounds = [ [ 44.9, 9.9 ], [ 45.1, 10.1 ] ];
+
+    show(group, 16, bounds);
+    t.equal(group.getVisibleMarkers().length, 0);
+
+    records[0].lat = 45;
+    records[0].lng = 10;
+    group.updateLayer(records[0]);
+
+    // Moves are applied together on the next animation frame.
+    setTimeout(function() {
+        var markers;
+
+        show(group, 16, bounds);
+        markers = group.getVisibleMarkers();
+
+        t.equal(markers.length, 1);
+        t.deepEqual(markers[0].getLatLng(), L.latLng(45, 10));
+        t.equal(group.getVisibleParent(records[0]), markers[0]);
+        t.end();
+    }, 50);
+});
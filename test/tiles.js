@@ -0,0 +1,143 @@
+/* jshint node: true */
+
+/*
+ *  Tests of the tile cuts and of the tile handler, served by a local HTTP
+ *  server.
+ */
+
+var http = require('http');
+var test = require('tape');
+var QuadCluster = require('../dist/leaflet.quadcluster-tree.js');
+var makePoints = require('./helpers/points').makePoints;
+
+// Number of points in a tile, counting clusters by their size
+function countPoints(collection) {
+    var count = 0;
+
+    collection.features.forEach(function(feature) {
+        count += feature.properties.cluster ? feature.properties.point_count : 1;
+    });
+
+    return count;
+}
+
+/*
+ *  Serves `handler` on a free local port, then calls `callback` with a
+ *  function fetching a path from it and one closing the server.
+ */
+function serve(handler, callback) {
+    var server = http.createServer(handler);
+
+    server.listen(0, '127.0.0.1', function() {
+        var port = server.address().port;
+
+        callback(function(path, done) {
+            http.get({ host: '127.0.0.1', port: port, path: path }, function(res) {
+                var body = '';
+
+                res.setEncoding('utf8');
+                res.on('data', function(chunk) {
+                    body += chunk;
+                });
+                res.on('end', function() {
+                    done(res, body);
+                });
+            });
+        }, function() {
+            server.close();
+        });
+    });
+}
+
+var tree = QuadCluster.Tree()(makePoints(1000, 7));
+
+test('every point is in exactly one tile', function(t) {
+    var zoom = 2;
+    var n = Math.pow(2, zoom);
+    var count = 0;
+
+    for( var x = 0; x < n; x++ ) {
+        for( var y = 0; y < n; y++ ) {
+            count += countPoints(QuadCluster.tileCut(tree, zoom, x, y));
+        }
+    }
+
+    t.equal(count, 1000);
+    t.end();
+});
+
+test('tiles past singlesOnZoom only have points', function(t) {
+    var tile = QuadCluster.tileCut(tree, 3, 4, 3, { singlesOnZoom: 3 });
+
+    t.ok(tile.features.length > 0);
+    t.ok(tile.features.every(function(feature) {
+        return ! feature.properties.cluster;
+    }));
+    t.end();
+});
+
+test('the handler serves tiles as JSON', function(t) {
+    var handler = QuadCluster.tileHandler(tree, {
+        headers: { 'Access-Control-Allow-Origin': '*' }
+    });
+
+    serve(handler, function(get, close) {
+        get('/clusters/0/0/0.json?v=1', function(res, body) {
+            t.equal(res.statusCode, 200);
+            t.equal(res.headers['content-type'], 'application/json');
+            t.equal(res.headers['access-control-allow-origin'], '*');
+            t.equal(countPoints(JSON.parse(body)), 1000);
+            close();
+            t.end();
+        });
+    });
+});
+
+test('the handler rejects zoom levels above maxZoom', function(t) {
+    serve(QuadCluster.tileHandler(tree, { maxZoom: 10 }), function(get, close) {
+        get('/10/0/0', function(res) {
+            t.equal(res.statusCode, 200);
+
+            get('/11/0/0', function(res) {
+                t.equal(res.statusCode, 400);
+
+                get('/2000/0/0', function(res) {
+                    t.equal(res.statusCode, 400);
+                    close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('the handler answers other requests with 404', function(t) {
+    serve(QuadCluster.tileHandler(tree), function(get, close) {
+        get('/clusters', function(res) {
+            t.equal(res.statusCode, 404);
+
+            get('/1/2/0', function(res) {
+                t.equal(res.statusCode, 404, 'tile outside of the world');
+                close();
+                t.end();
+            });
+        });
+    });
+});
+
+test('the handler passes other requests on to next', function(t) {
+    var handler = QuadCluster.tileHandler(tree);
+
+    serve(function(req, res) {
+        handler(req, res, function() {
+            res.writeHead(204);
+            res.end();
+        });
+    }, function(get, close) {
+        get('/clusters', function(res) {
+            t.equal(res.statusCode, 204);
+            close();
+            t.end();
+        });
+    });
+});
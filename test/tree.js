@@ -0,0 +1,432 @@
+/* jshint node: true */
+
+/*
+ *  Tests of the headless tree build. Run `npm test`, which builds it first.
+ */
+
+var test = require('tape');
+var QuadCluster = require('../dist/leaflet.quadcluster-tree.js');
+var makePoints = require('./helpers/points').makePoints;
+
+function countCategories(points) {
+    var counts = {};
+
+    points.forEach(function(d) {
+        counts[d.category] = (counts[d.category] || 0) + 1;
+    });
+
+    return counts;
+}
+
+function treeFactory() {
+    return QuadCluster.Tree()
+        .id(function(d) { return d.id; })
+        .aggregates({
+            categories: QuadCluster.Aggregate.categories(function(d) {
+                return d.category;
+            })
+        });
+}
+
+function createTree(points) {
+    return treeFactory()(points);
+}
+
+function north(d) {
+    return d.lat > 0;
+}
+
+function east(d) {
+    return d.lng > 0;
+}
+
+test('aggregates count every active point', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+
+    t.equal(tree.root.mass, points.length);
+    t.deepEqual(tree.getAggregate('categories'), countCategories(points));
+
+    tree.setFilter('north', north);
+    t.deepEqual(tree.getAggregate('categories'),
+                countCategories(points.filter(north)));
+
+    tree.clearFilter('north');
+    t.deepEqual(tree.getAggregate('categories'), countCategories(points));
+    t.end();
+});
+
+test('aggregates follow added and removed points', function(t) {
+    var points = makePoints(500);
+    var tree = createTree(points.slice(0, 300));
+
+    tree.addAll(points.slice(300));
+    tree.removeAll(points.slice(0, 100));
+
+    t.equal(tree.root.mass, 400);
+    t.deepEqual(tree.getAggregate('categories'),
+                countCategories(points.slice(100)));
+    t.end();
+});
+
+test('named filters are combined', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+
+    tree.setFilter('north', north);
+    tree.setFilter('east', east);
+    t.deepEqual(tree.getFilters().sort(), [ 'east', 'north' ]);
+    t.equal(tree.root.mass, points.filter(function(d) {
+        return north(d) && east(d);
+    }).length);
+
+    tree.clearFilter('north');
+    t.equal(tree.root.mass, points.filter(east).length);
+    t.end();
+});
+
+test('spatial filters only accept points inside the region', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var center = QuadCluster.latLng(20, 30);
+    var radius = 3000000;
+
+    tree.setSpatialFilter('circle', QuadCluster.Region.circle(center, radius));
+    t.equal(tree.root.mass, points.filter(function(d) {
+        return center.distanceTo(QuadCluster.latLng(d.lat, d.lng)) <= radius;
+    }).length);
+
+    tree.setSpatialFilter('box', QuadCluster.latLngBounds([ 0, 0 ], [ 40, 40 ]));
+    t.equal(tree.root.mass, points.filter(function(d) {
+        return d.lat >= 0 && d.lat <= 40 && d.lng >= 0 && d.lng <= 40 &&
+            center.distanceTo(QuadCluster.latLng(d.lat, d.lng)) <= radius;
+    }).length);
+    t.end();
+});
+
+test('queries aggregate the points inside the region', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var bounds = QuadCluster.latLngBounds([ -30, -50 ], [ 45, 70 ]);
+    var inside = points.filter(function(d) {
+        return bounds.contains([ d.lat, d.lng ]);
+    });
+    var result = tree.query(bounds, 'categories');
+
+    t.equal(result.points.length, inside.length);
+    t.deepEqual(result.state, countCategories(inside));
+    t.end();
+});
+
+test('queries count and sum the points of partial leaves once', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var center = QuadCluster.latLng(10, 20);
+    var radius = 4000000;
+    var inside = points.filter(function(d) {
+        return center.distanceTo(QuadCluster.latLng(d.lat, d.lng)) <= radius;
+    });
+
+    // Leaves contribute their mass and the sum of their point IDs; the
+    // finalized state also records the mass of the node it is given.
+    var totals = QuadCluster.Aggregate()
+        .init(function() { return { count: 0, sum: 0 }; })
+        .accumulate(function(state, node) {
+            if( node.leaf ) {
+                state.count += node.mass;
+                node.activePoints.forEach(function(d) { state.sum += d.id; });
+            }
+            return state;
+        })
+        .merge(function(state, other) {
+            state.count += other.count;
+            state.sum += other.sum;
+            return state;
+        })
+        .finalize(function(state, node) {
+            state.mass = node.mass;
+            return state;
+        });
+
+    var result = tree.query(QuadCluster.Region.circle(center, radius), totals);
+
+    t.ok(inside.length > 0);
+    t.equal(result.state.count, inside.length);
+    t.equal(result.state.sum, inside.reduce(function(sum, d) {
+        return sum + d.id;
+    }, 0));
+    t.equal(result.state.mass, inside.length);
+    t.end();
+});
+
+test('cuts cover every active point once', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var bounds = QuadCluster.latLngBounds([ -90, -180 ], [ 90, 180 ]);
+    var maxSize = 20;
+    var seen = {};
+    var mass = 0;
+    var cut, oversized;
+
+    tree.setFilter('north', north);
+    cut = tree.cut(bounds, maxSize);
+
+    oversized = cut.filter(function(node) {
+        return ! node.leaf &&
+            (node.bounds.getEast() - node.bounds.getWest() > maxSize ||
+             node.bounds.getNorth() - node.bounds.getSouth() > maxSize);
+    });
+    t.equal(oversized.length, 0, 'nodes are at most maxSize wide and high');
+
+    cut.forEach(function(node) {
+        mass += node.mass;
+        node.getPoints().forEach(function(d) {
+            seen[d.id] = (seen[d.id] || 0) + 1;
+        });
+    });
+
+    t.equal(mass, points.filter(north).length);
+    t.deepEqual(Object.keys(seen).map(Number).sort(function(a, b) {
+        return a - b;
+    }), points.filter(north).map(function(d) { return d.id; }));
+    t.ok(Object.keys(seen).every(function(id) { return seen[id] === 1; }));
+    t.end();
+});
+
+test('cuts in Mercator cover every point', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var bounds = QuadCluster.latLngBounds([ -90, -180 ], [ 90, 180 ]);
+    var mass = 0;
+
+    // Pixels at zoom 2. Nodes are taller closer to the poles, so some
+    // siblings are too small to be visited while others aren't.
+    function project(latLng) {
+        var lat = Math.max(Math.min(latLng.lat, 85), -85) * Math.PI / 180;
+
+        return [ (latLng.lng + 180) / 360 * 1024,
+                 (1 - Math.log(Math.tan(Math.PI / 4 + lat / 2)) / Math.PI) * 512 ];
+    }
+
+    tree.cut(bounds, 160, project).forEach(function(node) {
+        mass += node.mass;
+    });
+
+    t.equal(mass, points.length);
+    t.end();
+});
+
+test('finer cuts have more nodes', function(t) {
+    var tree = createTree(makePoints(2000));
+    var bounds = QuadCluster.latLngBounds([ -90, -180 ], [ 90, 180 ]);
+
+    t.ok(tree.cut(bounds, 10).length > tree.cut(bounds, 40).length);
+    t.end();
+});
+
+/*
+ *  Returns the mass and gravity center of each node of a cut, sorted, to
+ *  compare the cuts of two trees.
+ */
+function cutSignature(tree, maxSize) {
+    var bounds = QuadCluster.latLngBounds([ -90, -180 ], [ 90, 180 ]);
+
+    return tree.cut(bounds, maxSize).map(function(node) {
+        return node.mass + '@' + node.center.lat.toFixed(9) + ',' +
+            node.center.lng.toFixed(9);
+    }).sort();
+}
+
+test('removed points leave the tree and its aggregates', function(t) {
+    var points = makePoints(1000);
+    var tree = createTree(points);
+
+    t.ok(tree.remove(points[0]));
+    t.notOk(tree.remove(points[0]), 'not found twice');
+    t.notOk(tree.has(points[0]));
+
+    t.equal(tree.removeAll(points.slice(0, 500)), 499);
+    t.equal(tree.root.mass, 500);
+    t.deepEqual(tree.getAggregate('categories'),
+                countCategories(points.slice(500)));
+    t.deepEqual(cutSignature(tree, 20),
+                cutSignature(createTree(points.slice(500)), 20));
+
+    t.equal(tree.removeAll(points.slice(500)), 500);
+    t.equal(tree.root.mass, 0);
+    t.end();
+});
+
+test('moved points are found at their new location', function(t) {
+    var points = makePoints(1000);
+    var tree = createTree(points);
+    var moved = points.slice(0, 100);
+
+    moved.forEach(function(d) {
+        d.lat = -d.lat;
+        d.lng = d.lng / 2;
+    });
+
+    t.equal(tree.moveAll(moved), 100);
+    t.equal(tree.root.mass, 1000);
+    t.deepEqual(cutSignature(tree, 20), cutSignature(createTree(points), 20));
+
+    // Without an index, the previous location finds the point.
+    var plain = QuadCluster.Tree()(points);
+    var from = { lat: points[0].lat, lng: points[0].lng };
+
+    points[0].lat = 12;
+    t.ok(plain.move(points[0], from));
+    t.ok(plain.has(points[0]));
+    t.end();
+});
+
+test('the root grows to contain points outside of its bounds', function(t) {
+    var points = makePoints(200).map(function(d) {
+        return { id: d.id, lat: d.lat / 20, lng: d.lng / 20 };
+    });
+    var tree = createTree(points);
+    var far = { id: 'far', lat: -70, lng: 170 };
+
+    tree.add(far);
+    t.ok(tree.root.bounds.contains([ far.lat, far.lng ]));
+    t.equal(tree.root.mass, 201);
+    t.ok(tree.has(far));
+    t.ok(tree.has(points[0]));
+    t.end();
+});
+
+test('points without a finite location are rejected', function(t) {
+    var tree = createTree(makePoints(10));
+
+    t.throws(function() {
+        tree.add({ id: 'nan', lat: NaN, lng: 0 });
+    }, /Invalid point location/);
+    t.throws(function() {
+        tree.add({ id: 'inf', lat: 0, lng: Infinity });
+    }, /Invalid point location/);
+    t.equal(tree.root.mass, 10);
+    t.end();
+});
+
+test('trees created empty wrap around the first points added', function(t) {
+    var tree = QuadCluster.Tree().wrap(true)([]);
+    // Cuts are in the coordinates of the tree, which may exceed 180.
+    var bounds = QuadCluster.latLngBounds([ -90, -180 ], [ 90, 540 ]);
+
+    tree.addAll([
+        { lat: 10, lng: 179.9 },
+        { lat: 10.1, lng: -179.9 },
+        { lat: 10.2, lng: 180.1 }
+    ]);
+
+    t.equal(tree.cut(bounds, 5).length, 1, 'one node across the antimeridian');
+    t.equal(tree.cut(bounds, 5)[0].mass, 3);
+    t.end();
+});
+
+test('nearest returns the closest active points in order', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var center = QuadCluster.latLng(10, 20);
+
+    function distance(d) {
+        return center.distanceTo(QuadCluster.latLng(d.lat, d.lng));
+    }
+
+    var sorted = points.slice().sort(function(a, b) {
+        return distance(a) - distance(b);
+    });
+    var found = tree.nearest(center, 5);
+
+    t.deepEqual(found.map(function(d) { return d.point; }), sorted.slice(0, 5));
+    t.ok(Math.abs(found[0].distance - distance(sorted[0])) < 1e-6);
+    t.equal(tree.nearest(center).length, 1, 'one point by default');
+    t.deepEqual(tree.nearest(center, 0), []);
+    t.deepEqual(tree.nearest(center, -3), []);
+
+    t.deepEqual(tree.nearest(center, 50, { maxDistance: 500000 })
+                .map(function(d) { return d.point; }),
+                sorted.filter(function(d) { return distance(d) <= 500000; }));
+
+    tree.setFilter('north', north);
+    t.ok(tree.nearest(center, 20).every(function(d) {
+        return north(d.point);
+    }), 'filtered out points are skipped');
+    t.end();
+});
+
+test('nearest finds every point of small and empty trees', function(t) {
+    var points = makePoints(3);
+
+    t.equal(createTree(points).nearest([ 0, 0 ], 10).length, 3);
+    t.deepEqual(QuadCluster.Tree()([]).nearest([ 0, 0 ], 10), []);
+    t.end();
+});
+
+test('nearest looks across the antimeridian of wrapping trees', function(t) {
+    var points = [
+        { lat: 0, lng: 179.5 },
+        { lat: 0, lng: 170 },
+        { lat: 0, lng: -150 }
+    ];
+    var tree = QuadCluster.Tree().wrap(true)(points);
+
+    t.equal(tree.nearest([ 0, -179.5 ])[0].point, points[0]);
+    t.end();
+});
+
+test('serialized trees are rebuilt with the same structure', function(t) {
+    var points = makePoints(2000);
+    var tree = createTree(points);
+    var byId = tree.serialize();
+    var byIndex = tree.serialize({ points: points, format: 'binary' });
+    var rebuilt;
+
+    // Points are referenced by ID, or by index in the given array.
+    t.ok(byId.ids);
+    t.equal(byId.version, 1);
+    t.equal(byId.refs.length, points.length);
+    t.ok(byId.refs.indexOf(points[0].id) >= 0);
+
+    rebuilt = treeFactory().fromSerialized(JSON.parse(JSON.stringify(byId)),
+                                           points.slice().reverse());
+
+    t.deepEqual(cutSignature(rebuilt, 20), cutSignature(tree, 20));
+    t.deepEqual(rebuilt.getAggregate('categories'), countCategories(points));
+    t.ok(rebuilt.has(points[1999]));
+
+    // Version, node count, reference count and whether refs are IDs
+    t.deepEqual([].slice.call(new Uint32Array(byIndex, 0, 4)),
+                [ 1, byId.masks.length, points.length, 0 ]);
+
+    rebuilt = QuadCluster.Tree().fromSerialized(byIndex, points);
+    t.deepEqual(cutSignature(rebuilt, 20), cutSignature(tree, 20));
+
+    // e.g. read from a file
+    rebuilt = QuadCluster.Tree().fromSerialized(Buffer.from(byIndex), points);
+    t.deepEqual(cutSignature(rebuilt, 20), cutSignature(tree, 20));
+    t.end();
+});
+
+test('serializations that can\'t be rebuilt are rejected', function(t) {
+    var points = makePoints(100);
+    var tree = createTree(points);
+    var data = tree.serialize();
+
+    t.throws(function() {
+        QuadCluster.Tree().fromSerialized(data, points);
+    }, /ID accessor/);
+    t.throws(function() {
+        treeFactory().fromSerialized(data, points.slice(1));
+    }, /not found/);
+    t.throws(function() {
+        treeFactory().fromSerialized({ version: 2 }, points);
+    }, /Unsupported serialization version/);
+
+    tree.setFilter('north', north);
+    t.throws(function() {
+        tree.serialize();
+    }, /Clear the filters/);
+    t.end();
+});
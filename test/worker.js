@@ -0,0 +1,136 @@
+/* jshint node: true */
+
+/*
+ *  Tests of the worker mode. The worker build runs in a separate context
+ *  behind a stand-in Worker, which clones the messages like a browser does.
+ */
+
+var fs = require('fs');
+var vm = require('vm');
+var test = require('tape');
+var browser = require('./helpers/browser');
+var makePoints = require('./helpers/points').makePoints;
+
+var L = browser.L;
+var show = browser.show;
+
+var WORKER_SOURCE = fs.readFileSync(
+    __dirname + '/../dist/leaflet.quadcluster-worker.js', 'utf8');
+
+var WORLD = [ [ -85, -180 ], [ 85, 180 ] ];
+
+function Worker() {
+    var worker = this;
+    var scope = { self: {} };
+
+    scope.self.postMessage = function(data) {
+        data = structuredClone(data);
+        setImmediate(function() {
+            worker.onmessage({ data: data });
+        });
+    };
+
+    vm.runInNewContext(WORKER_SOURCE, scope);
+
+    this.postMessage = function(data) {
+        data = structuredClone(data);
+        setImmediate(function() {
+            scope.self.onmessage({ data: data });
+        });
+    };
+    this.terminate = function() {};
+}
+
+global.Worker = Worker;
+
+function makeMarkers(n) {
+    return makePoints(n).map(function(d) {
+        return L.marker([ d.lat, d.lng ]);
+    });
+}
+
+// Sizes and locations of the layers shown by a group, sorted
+function signature(group) {
+    return group.getVisible().map(function(layer) {
+        var latLng = layer.getLatLng();
+
+        return (layer.getChildCount ? layer.getChildCount() : 1) + '@' +
+            latLng.lat.toFixed(6) + ',' + latLng.lng.toFixed(6);
+    }).sort();
+}
+
+/*
+ *  Shows a local group and a worker group of the same markers, then calls
+ *  back once the worker group has shown its cut.
+ */
+function showBoth(local, worker, zoom, bounds, callback) {
+    worker.once('refresh', callback);
+    show(local, zoom, bounds);
+    show(worker, zoom, bounds);
+}
+
+test('worker groups show the same clusters as local groups', function(t) {
+    var markers = makeMarkers(2000);
+    var local = L.QuadCluster.markerClusterGroup(markers);
+    var worker = L.QuadCluster.markerClusterGroup(markers, {
+        workerUrl: 'leaflet.quadcluster-worker.js'
+    });
+
+    showBoth(local, worker, 2, WORLD, function() {
+        var cluster = worker.getVisibleClusters()[0];
+
+        t.ok(signature(local).length > 1);
+        t.deepEqual(signature(worker), signature(local));
+        t.equal(worker.getVisibleParent(markers[0]).getLatLng().toString(),
+                local.getVisibleParent(markers[0]).getLatLng().toString());
+
+        cluster.getAllChildMarkers(function(children) {
+            t.equal(children.length, cluster.getChildCount());
+            t.end();
+        });
+    });
+});
+
+test('worker groups apply spatial filters in the worker', function(t) {
+    var markers = makeMarkers(2000);
+    var bounds = L.latLngBounds([ 0, -180 ], [ 85, 180 ]);
+    var local = L.QuadCluster.markerClusterGroup(markers);
+    var worker = L.QuadCluster.markerClusterGroup(markers, {
+        workerUrl: 'leaflet.quadcluster-worker.js'
+    });
+
+    worker.on('filterchange', function(e) {
+        t.equal(e.before, 2000);
+        t.equal(e.after, markers.filter(function(marker) {
+            return bounds.contains(marker.getLatLng());
+        }).length);
+    });
+
+    local.setSpatialFilter('north', bounds);
+    worker.setSpatialFilter('north', bounds);
+
+    showBoth(local, worker, 2, WORLD, function() {
+        t.deepEqual(signature(worker), signature(local));
+        t.end();
+    });
+});
+
+test('worker groups reject what can\'t run in the worker', function(t) {
+    var worker = L.QuadCluster.markerClusterGroup(makeMarkers(10), {
+        workerUrl: 'leaflet.quadcluster-worker.js'
+    });
+
+    t.throws(function() {
+        worker.setFilter('odd', function() { return true; });
+    }, /not supported in worker mode/);
+    t.throws(function() {
+        worker.nearest([ 0, 0 ]);
+    }, /not available in worker mode/);
+    t.throws(function() {
+        L.QuadCluster.markerClusterGroup([], {
+            workerUrl: 'leaflet.quadcluster-worker.js',
+            aggregates: { count: L.QuadCluster.Aggregate() }
+        });
+    }, /Aggregates are not supported/);
+    t.end();
+});